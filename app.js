@@ -5,14 +5,25 @@
  * Designed as a modern replacement for Transcriber.
  * 
  * Features:
- * - Multi-speaker tracks with synchronized waveforms
+ * - Multi-speaker tracks with synchronized waveforms drawn from shared peaks (stable speaker ids, reorder, merge)
  * - Speaker filtering on master track (for overlapping speech)
- * - Mouse drag selection for segment creation
+ * - Zoom/scroll locked across all tracks, with a whole-file overview strip
+ * - Long-file mode: streamed playback, chunked peaks (cached) and analysis
+ * - Auto-segmentation in Web Workers, with pause and cancel
+ * - Mouse drag selection for segment creation (master or speaker tracks)
+ * - Split segment at the playhead / text caret, merge same-speaker segments
  * - Loop playback for selected segments
  * - High-pass/low-pass audio filters
- * - Undo/Redo support (Ctrl+Z / Ctrl+Y)
+ * - Boundary snapping to energy minima and zero crossings
+ * - Undo/Redo for every edit (Ctrl+Z / Ctrl+Y) with a history panel
  * - JSON project save/load with timestamps
- * - Multi-format export (ELAN .eaf, SRT, Praat TextGrid, JSON, CSV)
+ * - Portable project packages (zip with project, audio and checksums)
+ * - Crash-safe autosave to IndexedDB with session recovery
+ * - Named snapshots with diff view
+ * - Find & replace (plain/regex) across transcriptions
+ * - Multi-selection (Ctrl/Shift-click, Shift-drag) with bulk operations
+ * - ELAN .eaf, EXMARaLDA .exb, Praat TextGrid, Transcriber .trs, SRT/WebVTT and RTTM import
+ * - Multi-format export (ELAN .eaf, EXMARaLDA .exb, SRT, WebVTT, Praat TextGrid, Transcriber .trs, CHAT, TEI, RTTM, JSON, CSV)
  * 
  * @author OpenTranscriber Project
  * @version 7.0.0
@@ -30,12 +41,17 @@ class OpenTranscriber {
         this.masterRegions = null;
         this.masterSpectrogram = null;
         this.masterTimeline = null;
-        this.speakerTracks = [];
+        this.speakerTracks = [];   // display order; speakerNum is a persistent id
+        this.nextSpeakerId = 1;    // only grows: a removed speaker's id is never reused
+        this.pendingSpeakerRemoval = null;
         this.segments = [];
         this.selectedSegment = null;
         this.audioFile = null;
         this.audioFileName = null;
         this.audioBuffer = null;
+        this.audioFingerprint = null;
+        this.audioFingerprintPromise = null;
+        this.cancelAudioReady = null;   // voir whenAudioFileReady
         
         // Audio filters
         this.audioContext = null;
@@ -54,10 +70,63 @@ class OpenTranscriber {
         // Speaker filter display
         this.visibleSpeaker = 'all';
         
-        // Undo/Redo history
+        // Undo/Redo history (commands only store the segments they changed)
         this.undoStack = [];
         this.redoStack = [];
-        this.maxHistorySize = 50;
+        this.maxHistorySize = 200;
+        this.coalesceWindow = 2000;
+        
+        // Named snapshots (saved with the project)
+        this.snapshots = [];
+        
+        // Multi-sélection (ids) ; selectedSegment reste le segment actif
+        this.selectedIds = new Set();
+        this.playQueue = [];
+        this.playList = [];            // whole selection being played, for loop
+        this.rubberBand = false;
+        
+        // Zoom et défilement partagés par le master, le spectrogramme et les pistes
+        this.zoomLevel = 50;
+        this.syncingScroll = false;
+        this.overviewPeaks = null;
+        this.overviewFrame = null;
+        
+        // Pics calculés une fois depuis audioBuffer, partagés par toutes les pistes
+        this.trackPeaks = null;
+        this.trackPeaksPerSecond = 200;
+        this.peakLevels = null;        // mêmes pics à 200, 20 et 2 valeurs/s
+        
+        // Mode fichier long : lecture en flux depuis l'élément média, pics et
+        // analyses calculés bloc par bloc (audioBuffer reste null)
+        this.longAudio = null;
+        this.longAudioLoad = null;     // set while a file loads in long-file mode
+        this.longAudioUrl = null;
+        this.longFileThreshold = 200 * 1024 * 1024;
+        this.longFileChunkSeconds = 60;
+        this.analysisSampleRate = 8000;   // fréquence de décodage de WaveSurfer
+        this.decodeContext = null;
+        this.maxCachedPeaks = 5;
+        
+        // Analyses automatiques dans des Web Workers (annulables, pause possible)
+        this.analysisJob = null;
+        this.analysisWorkerUrl = null;
+        this.maxAnalysisWorkers = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+        
+        // Aimantation des frontières (énergie minimale puis passage par zéro)
+        this.snapEnabled = false;
+        this.snapWindow = 0.05;
+        
+        // Find & replace
+        this.findMatches = [];
+        this.findIndex = -1;
+        
+        // Autosave (IndexedDB)
+        this.sessionId = `session_${Date.now()}`;
+        this.autosaveDB = null;
+        this.autosaveTimer = null;
+        this.autosaveDelay = 1500;
+        this.autosavedAudio = null;
+        this.maxAutosavedSessions = 10;
         
         // Speaker colors (colorblind-friendly palette)
         this.speakerColors = [
@@ -79,46 +148,148 @@ class OpenTranscriber {
         this.initEventListeners();
         this.initKeyboardShortcuts();
         this.createDefaultSpeakers();
+        this.initAutosave();
         console.log('✅ OpenTranscriber v7 ready');
     }
     
     // ========================================================================
-    // UNDO / REDO SYSTEM
+    // UNDO / REDO SYSTEM (COMMAND HISTORY)
     // ========================================================================
     
     /**
-     * Save current state to undo stack
-     * @param {string} actionName - Description of the action for debugging
+     * Copy of the editable state, used to compute what a command changed
      */
-    saveState(actionName = 'action') {
-        const state = {
-            action: actionName,
+    captureEditState() {
+        return {
+            segments: new Map(this.segments.map(s => [s.id, this.segmentState(s)])),
+            speakers: this.speakerTracks.map(t => ({ id: t.speakerNum, name: t.name }))
+        };
+    }
+    
+    /**
+     * Start recording an edit; pass the result to commitEdit once done
+     * (use performEdit for synchronous edits)
+     * @param {string} name - Action name shown in the history panel
+     * @param {Object} [options]
+     * @param {string} [options.coalesceKey] - Consecutive edits with the same key
+     *        (typing in one segment, dragging one segment) merge into one entry
+     */
+    beginEdit(name, options = {}) {
+        return { name, coalesceKey: options.coalesceKey || null, before: this.captureEditState() };
+    }
+    
+    /**
+     * Turn the changes made since beginEdit into a command on the undo stack.
+     * Only the segments and speakers that actually changed are stored.
+     */
+    commitEdit(edit) {
+        const after = this.captureEditState();
+        const command = {
+            name: edit.name,
+            coalesceKey: edit.coalesceKey,
             timestamp: Date.now(),
-            segments: this.segments.map(s => ({
-                id: s.id,
-                start: s.start,
-                end: s.end,
-                speaker: s.speaker,
-                transcription: s.transcription
-            })),
-            speakers: this.speakerTracks.map(t => ({
-                id: t.speakerNum,
-                name: t.name
-            }))
+            segments: [],
+            speakers: null
         };
         
-        this.undoStack.push(state);
+        const ids = new Set([...edit.before.segments.keys(), ...after.segments.keys()]);
+        ids.forEach(id => {
+            const before = edit.before.segments.get(id) || null;
+            const afterSeg = after.segments.get(id) || null;
+            if (!this.sameSegmentState(before, afterSeg)) {
+                command.segments.push({ id, before, after: afterSeg });
+            }
+        });
+        
+        if (JSON.stringify(edit.before.speakers) !== JSON.stringify(after.speakers)) {
+            command.speakers = { before: edit.before.speakers, after: after.speakers };
+        }
+        
+        if (command.segments.length === 0 && !command.speakers) {
+            return null;
+        }
+        
+        this.pushCommand(command);
+        return command;
+    }
+    
+    /**
+     * Run a synchronous edit and record it as one undoable command
+     */
+    performEdit(name, mutate, options = {}) {
+        const edit = this.beginEdit(name, options);
+        const result = mutate();
+        this.commitEdit(edit);
+        return result;
+    }
+    
+    segmentState(segment) {
+        return {
+            id: segment.id,
+            start: segment.start,
+            end: segment.end,
+            speaker: segment.speaker,
+            transcription: segment.transcription || '',
+            status: segment.status || ''
+        };
+    }
+    
+    sameSegmentState(a, b) {
+        if (!a || !b) return a === b;
+        return a.start === b.start && a.end === b.end && a.speaker === b.speaker &&
+            a.transcription === b.transcription && a.status === b.status;
+    }
+    
+    pushCommand(command) {
+        const top = this.undoStack[this.undoStack.length - 1];
         
-        // Limit stack size
-        if (this.undoStack.length > this.maxHistorySize) {
-            this.undoStack.shift();
+        if (command.coalesceKey && top && top.coalesceKey === command.coalesceKey &&
+            this.redoStack.length === 0 && command.timestamp - top.timestamp < this.coalesceWindow) {
+            this.undoStack[this.undoStack.length - 1] = this.mergeCommands(top, command);
+        } else {
+            this.undoStack.push(command);
+            
+            // Limit stack size
+            if (this.undoStack.length > this.maxHistorySize) {
+                this.undoStack.shift();
+            }
         }
         
         // Clear redo stack on new action
         this.redoStack = [];
         
         this.updateUndoRedoButtons();
-        console.log(`📝 State saved: ${actionName} (${this.undoStack.length} states in history)`);
+        this.scheduleAutosave();
+        this.scheduleOverviewRender();
+        this.refreshFindResults();
+        console.log(`📝 ${command.name} (${this.undoStack.length} commands in history)`);
+    }
+    
+    /**
+     * Merge two consecutive commands: earliest "before", latest "after"
+     */
+    mergeCommands(first, second) {
+        const changes = new Map(first.segments.map(c => [c.id, { ...c }]));
+        
+        second.segments.forEach(c => {
+            const existing = changes.get(c.id);
+            if (existing) {
+                existing.after = c.after;
+            } else {
+                changes.set(c.id, { ...c });
+            }
+        });
+        
+        let speakers = first.speakers;
+        if (second.speakers) {
+            speakers = { before: first.speakers ? first.speakers.before : second.speakers.before, after: second.speakers.after };
+        }
+        
+        return {
+            ...second,
+            segments: [...changes.values()].filter(c => !this.sameSegmentState(c.before, c.after)),
+            speakers
+        };
     }
     
     /**
@@ -130,30 +301,13 @@ class OpenTranscriber {
             return;
         }
         
-        // Save current state to redo stack
-        const currentState = {
-            action: 'before_undo',
-            timestamp: Date.now(),
-            segments: this.segments.map(s => ({
-                id: s.id,
-                start: s.start,
-                end: s.end,
-                speaker: s.speaker,
-                transcription: s.transcription
-            })),
-            speakers: this.speakerTracks.map(t => ({
-                id: t.speakerNum,
-                name: t.name
-            }))
-        };
-        this.redoStack.push(currentState);
-        
-        // Restore previous state
-        const previousState = this.undoStack.pop();
-        this.restoreState(previousState);
+        const command = this.undoStack.pop();
+        this.applyCommand(command, 'before');
+        this.redoStack.push(command);
         
         this.updateUndoRedoButtons();
-        this.showToast(`Undo: ${previousState.action}`, 'info');
+        this.scheduleAutosave();
+        this.showToast(`Undo: ${command.name}`, 'info');
     }
     
     /**
@@ -165,60 +319,140 @@ class OpenTranscriber {
             return;
         }
         
-        // Save current state to undo stack
-        const currentState = {
-            action: 'before_redo',
-            timestamp: Date.now(),
-            segments: this.segments.map(s => ({
-                id: s.id,
-                start: s.start,
-                end: s.end,
-                speaker: s.speaker,
-                transcription: s.transcription
-            })),
-            speakers: this.speakerTracks.map(t => ({
-                id: t.speakerNum,
-                name: t.name
-            }))
-        };
-        this.undoStack.push(currentState);
+        const command = this.redoStack.pop();
+        this.applyCommand(command, 'after');
+        this.undoStack.push(command);
         
-        // Restore redo state
-        const redoState = this.redoStack.pop();
-        this.restoreState(redoState);
+        this.updateUndoRedoButtons();
+        this.scheduleAutosave();
+        this.showToast(`Redo: ${command.name}`, 'info');
+    }
+    
+    /**
+     * Undo or redo until the given number of commands are applied
+     * (used by the history panel)
+     */
+    goToHistoryPosition(position) {
+        while (this.undoStack.length > position) {
+            this.applyCommand(this.undoStack[this.undoStack.length - 1], 'before');
+            this.redoStack.push(this.undoStack.pop());
+        }
+        while (this.undoStack.length < position && this.redoStack.length > 0) {
+            this.applyCommand(this.redoStack[this.redoStack.length - 1], 'after');
+            this.undoStack.push(this.redoStack.pop());
+        }
         
         this.updateUndoRedoButtons();
-        this.showToast('Redo applied', 'info');
+        this.scheduleAutosave();
     }
     
     /**
-     * Restore application state from a saved state object
+     * Put speakers and segments back into one side ('before' or 'after') of a command
      */
-    restoreState(state) {
-        // Close editor if open
-        this.closeEditor();
+    applyCommand(command, side) {
+        if (command.speakers) {
+            this.syncSpeakerTracks(command.speakers[side]);
+        }
         
-        // Restore segments
-        this.segments = state.segments.map(s => ({
-            id: s.id,
-            start: s.start,
-            end: s.end,
-            speaker: s.speaker,
-            transcription: s.transcription,
-            color: this.speakerColors[(s.speaker - 1) % this.speakerColors.length]
-        }));
+        command.segments.forEach(change => {
+            this.applySegmentState(change.id, change[side]);
+        });
+        this.scheduleOverviewRender();
+        this.refreshFindResults();
+        
+        if (this.selectedSegment) {
+            const selected = this.segments.find(s => s.id === this.selectedSegment.id);
+            if (selected) {
+                this.selectedSegment = selected;
+                this.updateEditionPanel();
+            } else {
+                this.closeEditor();
+            }
+        }
+        this.renderSelection();
+    }
+    
+    /**
+     * Create, update or remove one segment (data, master region, speaker track)
+     * @param {string} id
+     * @param {Object|null} state - null removes the segment
+     */
+    applySegmentState(id, state) {
+        const segment = this.segments.find(s => s.id === id);
+        const masterRegion = this.masterRegions.getRegions().find(r => r.id === id);
         
-        // Restore speaker names
-        state.speakers.forEach(spk => {
-            const track = this.speakerTracks.find(t => t.speakerNum === spk.id);
-            if (track) {
-                track.name = spk.name;
-                track.container.querySelector('.speaker-name').value = spk.name;
+        if (!state) {
+            if (segment) {
+                this.segments = this.segments.filter(s => s.id !== id);
+                const track = this.speakerTracks.find(t => t.speakerNum === segment.speaker);
+                if (track) track.removeSegment(id);
+            }
+            if (masterRegion) masterRegion.remove();
+            return;
+        }
+        
+        if (!segment) {
+            const created = this.createSegment(state.start, state.end, state.speaker, state.transcription, id);
+            created.status = state.status;
+            return;
+        }
+        
+        const oldTrack = this.speakerTracks.find(t => t.speakerNum === segment.speaker);
+        
+        segment.start = state.start;
+        segment.end = state.end;
+        segment.transcription = state.transcription;
+        segment.status = state.status;
+        
+        if (segment.speaker !== state.speaker) {
+            if (oldTrack) oldTrack.removeSegment(id);
+            segment.speaker = state.speaker;
+            const newTrack = this.speakerTracks.find(t => t.speakerNum === state.speaker);
+            if (newTrack) newTrack.addSegment(segment);
+        } else if (oldTrack) {
+            oldTrack.updateSegmentPosition(segment);
+            oldTrack.updateSegmentVisual(segment);
+        }
+        
+        segment.color = this.speakerColors[(segment.speaker - 1) % this.speakerColors.length];
+        
+        if (masterRegion) {
+            masterRegion.setOptions({ start: segment.start, end: segment.end, color: segment.color.bg });
+        }
+    }
+    
+    /**
+     * Make the speaker tracks match a list of {id, name}: keep tracks whose
+     * id is listed, create missing ones, destroy the others
+     */
+    syncSpeakerTracks(speakers) {
+        const container = document.getElementById('speakersContainer');
+        
+        this.speakerTracks
+            .filter(t => !speakers.some(spk => spk.id === t.speakerNum))
+            .forEach(t => t.destroy());
+        
+        this.speakerTracks = speakers.map(spk => {
+            let track = this.speakerTracks.find(t => t.speakerNum === spk.id);
+            
+            if (!track) {
+                const color = this.speakerColors[(spk.id - 1) % this.speakerColors.length];
+                track = new SpeakerTrack(spk.id, color, this);
+                if (this.getTrackPeaks()) {
+                    track.loadPeaks(this.getTrackPeaks());
+                }
+                this.segments
+                    .filter(s => s.speaker === spk.id)
+                    .forEach(s => track.addSegment(s));
             }
+            
+            track.name = spk.name;
+            track.container.querySelector('.speaker-name').value = spk.name;
+            container.appendChild(track.container);
+            return track;
         });
+        this.reserveSpeakerIds(speakers.map(spk => spk.id));
         
-        // Redraw all segments
-        this.redrawAllSegments();
         this.updateSpeakerSelect();
         this.updateSpeakerFilterButtons();
     }
@@ -233,16 +467,54 @@ class OpenTranscriber {
         if (undoBtn) {
             undoBtn.disabled = this.undoStack.length === 0;
             undoBtn.title = this.undoStack.length > 0 
-                ? `Undo (${this.undoStack.length})` 
+                ? `Undo: ${this.undoStack[this.undoStack.length - 1].name} (Ctrl+Z)` 
                 : 'Nothing to undo';
         }
         
         if (redoBtn) {
             redoBtn.disabled = this.redoStack.length === 0;
             redoBtn.title = this.redoStack.length > 0 
-                ? `Redo (${this.redoStack.length})` 
+                ? `Redo: ${this.redoStack[this.redoStack.length - 1].name} (Ctrl+Y)` 
                 : 'Nothing to redo';
         }
+        
+        this.renderHistoryPanel();
+    }
+    
+    /**
+     * List applied commands (oldest first) followed by undone ones;
+     * clicking an entry moves the project to the state right after it
+     */
+    renderHistoryPanel() {
+        const list = document.getElementById('historyList');
+        if (!list) return;
+        list.innerHTML = '';
+        
+        const entries = [{ name: 'Initial state', position: 0, undone: false }];
+        this.undoStack.forEach((cmd, idx) => {
+            entries.push({ name: cmd.name, position: idx + 1, undone: false });
+        });
+        [...this.redoStack].reverse().forEach((cmd, idx) => {
+            entries.push({ name: cmd.name, position: this.undoStack.length + idx + 1, undone: true });
+        });
+        
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = entry.name;
+            item.className = entry.undone ? 'history-undone' : '';
+            if (entry.position === this.undoStack.length) {
+                item.classList.add('history-current');
+            }
+            item.addEventListener('click', () => this.goToHistoryPosition(entry.position));
+            list.appendChild(item);
+        });
+        
+        list.scrollTop = list.scrollHeight;
+    }
+    
+    toggleHistoryPanel() {
+        document.getElementById('historyPanel').classList.toggle('hidden');
+        this.renderHistoryPanel();
     }
     
     /**
@@ -255,721 +527,4488 @@ class OpenTranscriber {
     }
     
     // ========================================================================
-    // WAVESURFER MASTER
+    // AUTOSAVE ET RÉCUPÉRATION (IndexedDB)
     // ========================================================================
     
-    initMasterWaveSurfer() {
-        this.masterWave = WaveSurfer.create({
-            container: '#waveform',
-            waveColor: '#4a90e2',
-            progressColor: '#2c5aa0',
-            cursorColor: '#e74c3c',
-            barWidth: 2,
-            barGap: 1,
-            height: 128,
-            normalize: true,
-            minPxPerSec: 50
-        });
-        
-        // Plugins
-        this.masterRegions = this.masterWave.registerPlugin(WaveSurfer.Regions.create());
-        
-        this.masterTimeline = this.masterWave.registerPlugin(WaveSurfer.Timeline.create({
-            height: 20,
-            insertPosition: 'beforebegin'
-        }));
-        
-        // Spectrogramme (formants) - affiché par défaut avec opacité réduite
-        this.masterSpectrogram = this.masterWave.registerPlugin(WaveSurfer.Spectrogram.create({
-            container: '#spectrogram',
-            labels: true,
-            height: 128
-        }));
-        
-        // Activer la sélection à la souris pour créer des segments
-        this.masterRegions.enableDragSelection({
-            color: 'rgba(66, 153, 225, 0.3)'
-        });
-        
-        // Événements
-        this.masterWave.on('ready', () => this.onAudioReady());
-        this.masterWave.on('timeupdate', (t) => this.onTimeUpdate(t));
-        this.masterWave.on('play', () => { document.getElementById('playBtn').textContent = '⏸'; });
-        this.masterWave.on('pause', () => { document.getElementById('playBtn').textContent = '▶'; });
-        
-        // Événements régions
-        this.masterRegions.on('region-created', (r) => this.onRegionCreated(r));
-        this.masterRegions.on('region-updated', (r) => this.onRegionUpdated(r));
-        this.masterRegions.on('region-clicked', (r, e) => this.selectSegmentByRegion(r, e));
+    /**
+     * Open the autosave database and offer to recover previous sessions
+     */
+    async initAutosave() {
+        if (!window.indexedDB) {
+            console.warn('⚠️ IndexedDB unavailable, autosave disabled');
+            return;
+        }
         
-        // Double-clic sur région pour éditer
-        this.masterRegions.on('region-double-clicked', (r) => this.openInlineEditor(r));
+        try {
+            this.autosaveDB = await this.openAutosaveDB();
+        } catch (error) {
+            console.warn('⚠️ Autosave disabled:', error);
+            return;
+        }
         
-        // Événements pour la lecture en boucle
-        this.masterRegions.on('region-in', (region) => {
-            this.activeRegion = region;
+        // Flush pending changes when the tab is hidden or closed
+        const flush = () => {
+            if (this.autosaveTimer) {
+                clearTimeout(this.autosaveTimer);
+                this.autosaveTimer = null;
+                this.autosave();
+            }
+        };
+        window.addEventListener('pagehide', flush);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') flush();
         });
         
-        this.masterRegions.on('region-out', (region) => {
-            if (this.activeRegion === region && this.isPlayingSegment) {
-                if (this.loopEnabled) {
-                    region.play();
-                } else {
-                    this.isPlayingSegment = false;
-                    this.masterWave.pause();
+        const sessions = await this.listAutosavedSessions();
+        if (sessions.length > 0) {
+            this.openRecoveryModal(sessions);
+        }
+    }
+    
+    openAutosaveDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open('OpenTranscriber', 2);
+            
+            request.onupgradeneeded = (e) => {
+                const db = request.result;
+                if (e.oldVersion < 1) {
+                    db.createObjectStore('sessions', { keyPath: 'id' });
+                    db.createObjectStore('audio', { keyPath: 'id' });
                 }
-            }
+                // v2 : cache des pics des fichiers longs
+                if (e.oldVersion < 2) {
+                    db.createObjectStore('peaks', { keyPath: 'id' }).createIndex('created', 'created');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
         });
-        
-        // Clic sur waveform = réinitialiser la région active
-        this.masterWave.on('interaction', () => {
-            if (!this.isPlayingSegment) {
-                this.activeRegion = null;
-            }
+    }
+    
+    /**
+     * Run a request on an object store and resolve with its result
+     */
+    autosaveRequest(storeName, mode, action) {
+        return new Promise((resolve, reject) => {
+            const tx = this.autosaveDB.transaction(storeName, mode);
+            const request = action(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
         });
     }
     
-    // ========================================================================
-    // FILTRES AUDIO
-    // ========================================================================
+    /**
+     * Debounced autosave, called after every recorded edit (see pushCommand)
+     */
+    scheduleAutosave() {
+        if (!this.autosaveDB) return;
+        
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => {
+            this.autosaveTimer = null;
+            this.autosave();
+        }, this.autosaveDelay);
+    }
     
-    initAudioFilters() {
-        if (!this.masterWave || !this.masterWave.getMediaElement()) return;
+    async autosave() {
+        if (!this.autosaveDB) return;
         
         try {
-            // Créer le contexte audio s'il n'existe pas
-            if (!this.audioContext) {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            }
-            
-            const mediaElement = this.masterWave.getMediaElement();
-            const source = this.audioContext.createMediaElementSource(mediaElement);
-            
-            // Créer les filtres
-            this.highpassFilter = this.audioContext.createBiquadFilter();
-            this.highpassFilter.type = 'highpass';
-            this.highpassFilter.frequency.value = 0;
-            
-            this.lowpassFilter = this.audioContext.createBiquadFilter();
-            this.lowpassFilter.type = 'lowpass';
-            this.lowpassFilter.frequency.value = 20000;
+            // Long files are never copied: restoring asks for the file again.
+            // The mode is the one the file was loaded in, not the toggle's state.
+            const audioFile = this.audioFile;
+            const storeAudio = audioFile && !this.longAudio && !this.longAudioLoad;
+            const session = {
+                id: this.sessionId,
+                updatedAt: Date.now(),
+                audioFileName: this.audioFileName || '',
+                audioRef: audioFile && !storeAudio ? this.getAudioFileRef(audioFile) : null,
+                audioKey: storeAudio ? this.getAudioFileKey(audioFile) : null,
+                segmentCount: this.segments.length,
+                project: this.buildProjectData()
+            };
+            await this.autosaveRequest('sessions', 'readwrite', store => store.put(session));
             
-            // Connecter: source -> highpass -> lowpass -> destination
-            source.connect(this.highpassFilter);
-            this.highpassFilter.connect(this.lowpassFilter);
-            this.lowpassFilter.connect(this.audioContext.destination);
+            // One copy per audio file, shared by every session that uses it
+            if (storeAudio && this.autosavedAudio !== audioFile) {
+                const stored = await this.autosaveRequest('audio', 'readonly', store => store.getKey(session.audioKey));
+                if (stored === undefined) {
+                    await this.autosaveRequest('audio', 'readwrite', store => store.put({
+                        id: session.audioKey,
+                        name: audioFile.name,
+                        type: audioFile.type,
+                        lastModified: audioFile.lastModified,
+                        blob: audioFile
+                    }));
+                }
+                this.autosavedAudio = audioFile;
+            }
             
-            console.log('✅ Filtres audio initialisés');
+            await this.pruneAutosavedSessions();
+            console.log(`💾 Autosaved ${session.segmentCount} segments`);
         } catch (error) {
-            console.warn('⚠️ Impossible d\'initialiser les filtres audio:', error);
+            // Quota exceeded or private browsing: keep working without autosave
+            console.warn('⚠️ Autosave failed:', error);
         }
     }
     
-    setHighpassFrequency(freq) {
-        if (this.highpassFilter) {
-            this.highpassFilter.frequency.value = freq;
-        }
+    /**
+     * Identity of an audio file, enough to recognise it when picked again
+     */
+    getAudioFileRef(file) {
+        return { name: file.name, size: file.size, lastModified: file.lastModified };
     }
     
-    setLowpassFrequency(freq) {
-        if (this.lowpassFilter) {
-            this.lowpassFilter.frequency.value = freq;
-        }
-    }
-    
-    resetFilters() {
-        document.getElementById('highpassSlider').value = 0;
-        document.getElementById('lowpassSlider').value = 20000;
-        document.getElementById('highpassValue').textContent = '0 Hz';
-        document.getElementById('lowpassValue').textContent = '20k Hz';
-        
-        this.setHighpassFrequency(0);
-        this.setLowpassFrequency(20000);
-        
-        this.showToast('Filtres réinitialisés', 'info');
+    /**
+     * Key of a file in the audio and peaks stores
+     */
+    getAudioFileKey(file) {
+        return `${file.name}|${file.size}|${file.lastModified}`;
     }
     
-    // ========================================================================
-    // CHARGEMENT AUDIO
-    // ========================================================================
-    
-    loadAudioFile(file) {
-        this.audioFile = file;
-        this.audioFileName = file.name;
-        this.showToast(`Chargement de ${file.name}...`, 'info');
-        this.masterWave.loadBlob(file);
+    async listAutosavedSessions() {
+        const sessions = await this.autosaveRequest('sessions', 'readonly', store => store.getAll());
+        return sessions
+            .filter(s => s.id !== this.sessionId)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
     }
     
-    onAudioReady() {
-        console.log('✅ Audio ready');
-        this.audioBuffer = this.masterWave.getDecodedData();
-        
-        const duration = this.masterWave.getDuration();
-        document.getElementById('totalDuration').textContent = this.formatTime(duration);
-        
-        // Enable buttons
-        document.getElementById('autoSegBtn').disabled = false;
-        document.getElementById('exportBtn').disabled = false;
-        
-        // Initialize audio filters
-        this.initAudioFilters();
-        
-        // Create waveforms for speaker tracks
-        this.speakerTracks.forEach(track => track.loadAudio(this.audioFile));
-        
-        this.showToast('Audio loaded!', 'success');
+    async pruneAutosavedSessions() {
+        const sessions = await this.autosaveRequest('sessions', 'readonly', store => store.getAll());
+        const stale = sessions
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .slice(this.maxAutosavedSessions);
+        
+        for (const session of stale) {
+            await this.deleteAutosavedSession(session.id);
+        }
     }
     
-    onTimeUpdate(time) {
-        document.getElementById('currentTime').textContent = this.formatTime(time);
-        
-        // Synchroniser les pistes locuteurs
-        this.speakerTracks.forEach(track => {
-            if (track.wave) {
-                track.wave.setTime(time);
+    async deleteAutosavedSession(id) {
+        const session = await this.autosaveRequest('sessions', 'readonly', store => store.get(id));
+        await this.autosaveRequest('sessions', 'readwrite', store => store.delete(id));
+        // Copie propre à la session (anciennes sauvegardes)
+        await this.autosaveRequest('audio', 'readwrite', store => store.delete(id));
+        
+        // The shared copy goes with the last session that uses it
+        const key = session && session.audioKey;
+        if (!key) return;
+        const sessions = await this.autosaveRequest('sessions', 'readonly', store => store.getAll());
+        if (!sessions.some(s => s.audioKey === key)) {
+            await this.autosaveRequest('audio', 'readwrite', store => store.delete(key));
+            if (this.autosavedAudio && this.getAudioFileKey(this.autosavedAudio) === key) {
+                this.autosavedAudio = null;
             }
-        });
+        }
     }
     
-    // ========================================================================
-    // RÉGION CRÉÉE PAR DRAG SELECTION
-    // ========================================================================
-    
-    onRegionCreated(region) {
-        // Vérifier si c'est une nouvelle région créée par drag selection
-        // (pas une région qu'on a nous-même créée via createSegment)
-        const existingSegment = this.segments.find(s => s.id === region.id);
+    openRecoveryModal(sessions) {
+        const list = document.getElementById('recoveryList');
+        list.innerHTML = '';
         
-        if (!existingSegment && region.end - region.start > 0.1) {
-            // Save state before creating
-            this.saveState('create segment (drag)');
+        sessions.forEach(session => {
+            const item = document.createElement('li');
+            item.className = 'recovery-item';
             
-            // C'est une nouvelle région créée par l'utilisateur
-            const speakerNum = this.getDefaultSpeakerForNewSegment();
+            const info = document.createElement('div');
+            info.innerHTML = '<strong></strong><small></small>';
+            info.querySelector('strong').textContent = session.audioFileName || '(no audio)';
+            info.querySelector('small').textContent =
+                `${new Date(session.updatedAt).toLocaleString()} — ${session.segmentCount} segments`;
             
-            const segment = {
-                id: region.id,
-                start: region.start,
-                end: region.end,
-                speaker: speakerNum,
-                transcription: '',
-                color: this.speakerColors[(speakerNum - 1) % this.speakerColors.length]
-            };
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'btn btn-sm btn-primary';
+            restoreBtn.textContent = '↺ Restore';
+            restoreBtn.addEventListener('click', () => {
+                if (!session.audioRef) {
+                    document.getElementById('recoveryModal').classList.remove('active');
+                    this.restoreAutosavedSession(session);
+                    return;
+                }
+                // Le fichier long est redemandé ; le sélecteur doit s'ouvrir
+                // pendant le clic, sinon le navigateur le bloque
+                const picker = document.createElement('input');
+                picker.type = 'file';
+                picker.accept = 'audio/*';
+                picker.addEventListener('change', () => {
+                    if (!picker.files[0]) return;
+                    document.getElementById('recoveryModal').classList.remove('active');
+                    this.restoreAutosavedSession(session, picker.files[0]);
+                });
+                picker.click();
+            });
             
-            this.segments.push(segment);
+            // Long file: its audio was not stored, it has to be selected again
+            if (session.audioRef) {
+                restoreBtn.textContent = '📂 Select file & restore';
+                restoreBtn.title = `Autosave does not keep long files: select ${session.audioRef.name}`;
+            }
             
-            // Mettre à jour la couleur de la région
-            region.setOptions({
-                color: segment.color.bg,
-                drag: true,
-                resize: true
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-sm';
+            deleteBtn.textContent = '🗑';
+            deleteBtn.title = 'Delete this session';
+            deleteBtn.addEventListener('click', async () => {
+                await this.deleteAutosavedSession(session.id);
+                item.remove();
+                if (!list.children.length) {
+                    document.getElementById('recoveryModal').classList.remove('active');
+                }
             });
             
-            // Ajouter sur piste locuteur
-            const track = this.speakerTracks.find(t => t.speakerNum === speakerNum);
-            if (track) {
-                track.addSegment(segment);
+            item.appendChild(info);
+            item.appendChild(restoreBtn);
+            item.appendChild(deleteBtn);
+            list.appendChild(item);
+        });
+        
+        document.getElementById('recoveryModal').classList.add('active');
+    }
+    
+    /**
+     * Restore an autosaved session (with its audio when it was stored, or
+     * the file selected again for a long file) and continue autosaving
+     * under the same session id
+     */
+    async restoreAutosavedSession(session, selectedFile = null) {
+        try {
+            let audioFile = selectedFile;
+            if (!audioFile) {
+                // Older sessions stored their own copy under the session id
+                const audio = await this.autosaveRequest('audio', 'readonly', store => store.get(session.audioKey || session.id));
+                if (audio && audio.blob) {
+                    // Same lastModified, so the file keeps its key in the audio store
+                    audioFile = new File([audio.blob], audio.name, { type: audio.type, lastModified: audio.lastModified });
+                }
             }
+            const project = session.project;
             
-            // Sélectionner le segment
-            this.selectSegment(segment);
+            this.sessionId = session.id;
             
-            this.showToast('Segment created', 'success');
+            if (audioFile) {
+                this.clearHistory();
+                this.loadAudioFile(audioFile);
+                this.whenAudioFileReady(audioFile, () => {
+                    this.applyProjectData(project, project.segments, 'Restore session');
+                    this.clearHistory();
+                    if (selectedFile && !this.matchesAudioRef(selectedFile, session.audioRef)) {
+                        this.showToast(`⚠️ Session restored, but ${session.audioRef.name} was expected`, 'info');
+                    } else {
+                        this.showToast(`Session restored: ${project.segments.length} segments`, 'success');
+                    }
+                });
+            } else {
+                this.applyProjectData(project, project.segments, 'Restore session');
+                this.clearHistory();
+                this.showToast(`Session restored without audio — load ${session.audioFileName || 'the audio file'}`, 'info');
+            }
+        } catch (error) {
+            console.error('Session restore error:', error);
+            this.showToast('Error: could not restore session', 'danger');
         }
     }
     
-    getDefaultSpeakerForNewSegment() {
-        // Si un filtre de locuteur est actif, utiliser ce locuteur
-        if (this.visibleSpeaker !== 'all') {
-            return parseInt(this.visibleSpeaker);
+    async discardAutosavedSessions() {
+        const sessions = await this.listAutosavedSessions();
+        for (const session of sessions) {
+            await this.deleteAutosavedSession(session.id);
         }
-        return 1;
+        document.getElementById('recoveryModal').classList.remove('active');
     }
     
     // ========================================================================
-    // PISTES LOCUTEURS
+    // INSTANTANÉS NOMMÉS (SNAPSHOTS)
     // ========================================================================
     
-    createDefaultSpeakers() {
-        for (let i = 0; i < 3; i++) {
-            this.addSpeaker();
-        }
+    /**
+     * Record a named checkpoint of speakers and segments. Snapshots are part
+     * of the project data, so they are kept by Save, packages and autosave.
+     */
+    takeSnapshot(name) {
+        const snapshot = {
+            id: `snap_${Date.now()}`,
+            name: name || `Snapshot ${this.snapshots.length + 1}`,
+            createdAt: new Date().toISOString(),
+            speakers: this.speakerTracks.map(t => ({ id: t.speakerNum, name: t.name })),
+            segments: this.segments.map(s => ({
+                id: s.id,
+                start: s.start,
+                end: s.end,
+                speaker: s.speaker,
+                transcription: s.transcription || ''
+            }))
+        };
+        
+        this.snapshots.push(snapshot);
+        this.renderSnapshotList();
+        this.scheduleAutosave();
+        this.showToast(`Snapshot saved: ${snapshot.name}`, 'success');
     }
     
-    addSpeaker() {
-        const speakerNum = this.speakerTracks.length + 1;
-        const color = this.speakerColors[(speakerNum - 1) % this.speakerColors.length];
-        
-        const track = new SpeakerTrack(speakerNum, color, this);
-        this.speakerTracks.push(track);
-        
-        // Si audio déjà chargé, charger dans cette piste
-        if (this.audioFile) {
-            track.loadAudio(this.audioFile);
-        }
-        
-        // Mettre à jour le select et les boutons radio
-        this.updateSpeakerSelect();
-        this.updateSpeakerFilterButtons();
+    deleteSnapshot(id) {
+        this.snapshots = this.snapshots.filter(s => s.id !== id);
+        this.renderSnapshotList();
+        this.scheduleAutosave();
     }
     
-    removeSpeaker(speakerNum) {
-        const index = this.speakerTracks.findIndex(t => t.speakerNum === speakerNum);
-        if (index !== -1) {
-            // Supprimer les segments de ce locuteur
-            this.segments = this.segments.filter(s => s.speaker !== speakerNum);
-            
-            // Détruire la piste
-            this.speakerTracks[index].destroy();
-            this.speakerTracks.splice(index, 1);
-            
-            // Renuméroter
-            this.speakerTracks.forEach((t, idx) => {
-                t.updateNumber(idx + 1);
-            });
-            
-            this.redrawAllSegments();
-            this.updateSpeakerSelect();
-            this.updateSpeakerFilterButtons();
-        }
+    openSnapshotModal() {
+        this.renderSnapshotList();
+        document.getElementById('snapshotModal').classList.add('active');
+        document.getElementById('snapshotName').focus();
     }
     
-    updateSpeakerSelect() {
-        const select = document.getElementById('speakerSelect');
-        select.innerHTML = '';
-        
-        this.speakerTracks.forEach(track => {
-            const option = document.createElement('option');
-            option.value = track.speakerNum;
-            option.textContent = track.name;
-            select.appendChild(option);
-        });
+    closeSnapshotModal() {
+        document.getElementById('snapshotModal').classList.remove('active');
     }
     
-    updateSpeakerFilterButtons() {
-        const container = document.getElementById('speakerRadioButtons');
-        container.innerHTML = '';
-        
-        this.speakerTracks.forEach(track => {
-            const label = document.createElement('label');
-            label.className = `radio-pill spk${track.speakerNum}`;
+    renderSnapshotList() {
+        const list = document.getElementById('snapshotList');
+        if (!list) return;
+        list.innerHTML = '';
+        
+        this.snapshots.forEach(snap => {
+            const item = document.createElement('li');
+            item.className = 'snapshot-item';
             
-            const input = document.createElement('input');
-            input.type = 'radio';
-            input.name = 'speakerFilter';
-            input.value = track.speakerNum;
+            const info = document.createElement('div');
+            info.innerHTML = '<strong></strong><small></small>';
+            info.querySelector('strong').textContent = snap.name;
+            info.querySelector('small').textContent =
+                `${new Date(snap.createdAt).toLocaleString()} — ${snap.segments.length} segments`;
             
-            const span = document.createElement('span');
-            span.textContent = track.name;
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-sm';
+            deleteBtn.textContent = '🗑';
+            deleteBtn.title = 'Delete snapshot';
+            deleteBtn.addEventListener('click', () => {
+                if (confirm(`Delete snapshot "${snap.name}"?`)) {
+                    this.deleteSnapshot(snap.id);
+                }
+            });
             
-            label.appendChild(input);
-            label.appendChild(span);
-            container.appendChild(label);
+            item.appendChild(info);
+            item.appendChild(deleteBtn);
+            list.appendChild(item);
+        });
+        
+        // Comparison selectors: every snapshot plus the current state
+        ['snapshotFrom', 'snapshotTo'].forEach((selectId, idx) => {
+            const select = document.getElementById(selectId);
+            const previous = select.value;
+            select.innerHTML = '';
             
-            input.addEventListener('change', () => {
-                this.filterSegmentsBySpeaker(track.speakerNum);
+            this.snapshots.forEach(snap => {
+                const option = document.createElement('option');
+                option.value = snap.id;
+                option.textContent = snap.name;
+                select.appendChild(option);
             });
+            
+            const current = document.createElement('option');
+            current.value = 'current';
+            current.textContent = 'Current state';
+            select.appendChild(current);
+            
+            if ([...select.options].some(o => o.value === previous)) {
+                select.value = previous;
+            } else {
+                select.value = idx === 0 && this.snapshots.length > 0
+                    ? this.snapshots[this.snapshots.length - 1].id
+                    : 'current';
+            }
         });
     }
     
-    filterSegmentsBySpeaker(speakerNum) {
-        this.visibleSpeaker = speakerNum;
+    getSnapshotState(id) {
+        if (id === 'current') {
+            return {
+                name: 'Current state',
+                speakers: this.speakerTracks.map(t => ({ id: t.speakerNum, name: t.name })),
+                segments: this.segments
+            };
+        }
+        return this.snapshots.find(s => s.id === id);
+    }
+    
+    /**
+     * Differences between two states. Segments are paired by id, then the
+     * remaining ones by best time overlap (at least half of their union).
+     * @returns {Array<{type: string, time: number, segmentId: string|null, ...}>}
+     */
+    diffSnapshots(from, to) {
+        const speakerName = (state, num) => {
+            const spk = state.speakers.find(s => s.id === num);
+            return spk ? spk.name : `Speaker ${num}`;
+        };
         
-        // Parcourir toutes les régions sur le master
-        const regions = this.masterRegions.getRegions();
+        const pairs = [];
+        const unmatchedFrom = [];
+        const toById = new Map(to.segments.map(s => [s.id, s]));
+        const matchedTo = new Set();
         
-        regions.forEach(region => {
-            const segment = this.segments.find(s => s.id === region.id);
-            if (segment) {
-                if (speakerNum === 'all' || segment.speaker === parseInt(speakerNum)) {
-                    region.element.style.display = 'block';
-                } else {
-                    region.element.style.display = 'none';
+        from.segments.forEach(a => {
+            const b = toById.get(a.id);
+            if (b) {
+                pairs.push([a, b]);
+                matchedTo.add(b);
+            } else {
+                unmatchedFrom.push(a);
+            }
+        });
+        
+        const unmatchedTo = to.segments.filter(b => !matchedTo.has(b));
+        const removed = [];
+        
+        unmatchedFrom.forEach(a => {
+            let best = null;
+            let bestRatio = 0.5;
+            unmatchedTo.forEach(b => {
+                const overlap = Math.min(a.end, b.end) - Math.max(a.start, b.start);
+                const union = Math.max(a.end, b.end) - Math.min(a.start, b.start);
+                if (overlap > 0 && overlap / union >= bestRatio) {
+                    best = b;
+                    bestRatio = overlap / union;
                 }
+            });
+            
+            if (best) {
+                pairs.push([a, best]);
+                unmatchedTo.splice(unmatchedTo.indexOf(best), 1);
+            } else {
+                removed.push(a);
             }
         });
         
-        const label = speakerNum === 'all' ? 'all speakers' : `Speaker ${speakerNum}`;
-        this.showToast(`Showing: ${label}`, 'info');
-    }
-    
-    // ========================================================================
-    // GESTION DES SEGMENTS
-    // ========================================================================
-    
-    createSegment(start, end, speakerNum, transcription = '') {
-        const id = `seg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const diffs = [];
         
-        const segment = {
-            id,
-            start,
-            end,
-            speaker: speakerNum,
-            transcription,
-            color: this.speakerColors[(speakerNum - 1) % this.speakerColors.length]
-        };
+        removed.forEach(a => diffs.push({
+            type: 'removed', time: a.start, segmentId: null,
+            label: `${speakerName(from, a.speaker)}: “${a.transcription || ''}”`
+        }));
         
-        this.segments.push(segment);
+        unmatchedTo.forEach(b => diffs.push({
+            type: 'added', time: b.start, segmentId: b.id,
+            label: `${speakerName(to, b.speaker)}: “${b.transcription || ''}”`
+        }));
         
-        // Créer région sur master
-        this.masterRegions.addRegion({
-            id,
-            start,
-            end,
-            color: segment.color.bg,
-            drag: true,
-            resize: true
+        pairs.forEach(([a, b]) => {
+            if (Math.abs(a.start - b.start) > 0.001 || Math.abs(a.end - b.end) > 0.001) {
+                diffs.push({
+                    type: 'retimed', time: b.start, segmentId: b.id,
+                    label: `${this.formatTime(a.start)}–${this.formatTime(a.end)} → ${this.formatTime(b.start)}–${this.formatTime(b.end)}`
+                });
+            }
+            if (a.speaker !== b.speaker || speakerName(from, a.speaker) !== speakerName(to, b.speaker)) {
+                diffs.push({
+                    type: 'speaker', time: b.start, segmentId: b.id,
+                    label: `${speakerName(from, a.speaker)} → ${speakerName(to, b.speaker)}`
+                });
+            }
+            if ((a.transcription || '') !== (b.transcription || '')) {
+                diffs.push({
+                    type: 'text', time: b.start, segmentId: b.id,
+                    words: this.diffWords(a.transcription || '', b.transcription || '')
+                });
+            }
         });
         
-        // Ajouter sur piste locuteur
-        const track = this.speakerTracks.find(t => t.speakerNum === speakerNum);
-        if (track) {
-            track.addSegment(segment);
+        return diffs.sort((x, y) => x.time - y.time);
+    }
+    
+    /**
+     * Word-level diff (longest common subsequence)
+     * @returns {Array<{op: string, text: string}>} op: 'same' | 'del' | 'ins'
+     */
+    diffWords(before, after) {
+        const a = before.split(/\s+/).filter(w => w);
+        const b = after.split(/\s+/).filter(w => w);
+        const lcs = Array(a.length + 1).fill(0).map(() => new Array(b.length + 1).fill(0));
+        
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
         }
         
-        return segment;
+        const result = [];
+        let i = 0, j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                result.push({ op: 'same', text: a[i] });
+                i++; j++;
+            } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                result.push({ op: 'del', text: a[i] });
+                i++;
+            } else {
+                result.push({ op: 'ins', text: b[j] });
+                j++;
+            }
+        }
+        return result;
     }
     
-    selectSegmentByRegion(region, event) {
-        event.stopPropagation();
-        const segment = this.segments.find(s => s.id === region.id);
+    compareSnapshots() {
+        const from = this.getSnapshotState(document.getElementById('snapshotFrom').value);
+        const to = this.getSnapshotState(document.getElementById('snapshotTo').value);
+        const list = document.getElementById('snapshotDiff');
+        if (!from || !to) return;
+        
+        const diffs = this.diffSnapshots(from, to);
+        const labels = { added: 'Added', removed: 'Removed', retimed: 'Retimed', speaker: 'Speaker', text: 'Text' };
+        list.innerHTML = '';
+        
+        document.getElementById('snapshotDiffSummary').textContent = diffs.length === 0
+            ? `No difference between “${from.name}” and “${to.name}”`
+            : `${diffs.length} difference(s) from “${from.name}” to “${to.name}”`;
+        
+        diffs.forEach(diff => {
+            const item = document.createElement('li');
+            item.className = `diff-item diff-${diff.type}`;
+            
+            const time = document.createElement('span');
+            time.className = 'diff-time';
+            time.textContent = this.formatTime(diff.time);
+            
+            const tag = document.createElement('span');
+            tag.className = 'diff-tag';
+            tag.textContent = labels[diff.type];
+            
+            const body = document.createElement('span');
+            if (diff.words) {
+                diff.words.forEach(w => {
+                    const el = document.createElement(w.op === 'same' ? 'span' : w.op);
+                    el.textContent = w.text;
+                    body.appendChild(el);
+                    body.appendChild(document.createTextNode(' '));
+                });
+            } else {
+                body.textContent = diff.label;
+            }
+            
+            item.appendChild(time);
+            item.appendChild(tag);
+            item.appendChild(body);
+            item.addEventListener('click', () => this.jumpToDiff(diff));
+            list.appendChild(item);
+        });
+    }
+    
+    jumpToDiff(diff) {
+        this.closeSnapshotModal();
+        this.masterWave.setTime(diff.time);
+        
+        const segment = diff.segmentId && this.segments.find(s => s.id === diff.segmentId);
         if (segment) {
             this.selectSegment(segment);
         }
     }
     
-    selectSegment(segment) {
-        this.selectedSegment = segment;
-        
-        // Mettre à jour UI
-        document.getElementById('segmentTimeInfo').textContent = 
-            `${this.formatTime(segment.start)} → ${this.formatTime(segment.end)} (${(segment.end - segment.start).toFixed(2)}s)`;
+    // ========================================================================
+    // WAVESURFER MASTER
+    // ========================================================================
+    
+    initMasterWaveSurfer() {
+        this.masterWave = WaveSurfer.create({
+            container: '#waveform',
+            waveColor: '#4a90e2',
+            progressColor: '#2c5aa0',
+            cursorColor: '#e74c3c',
+            barWidth: 2,
+            barGap: 1,
+            height: 128,
+            normalize: true,
+            minPxPerSec: this.zoomLevel
+        });
         
-        document.getElementById('speakerSelect').value = segment.speaker;
-        document.getElementById('transcriptionInput').value = segment.transcription || '';
+        // Plugins
+        this.masterRegions = this.masterWave.registerPlugin(WaveSurfer.Regions.create());
         
-        // Afficher le panel d'édition
-        document.getElementById('editionPanel').classList.remove('hidden');
+        this.masterTimeline = this.masterWave.registerPlugin(WaveSurfer.Timeline.create({
+            height: 20,
+            insertPosition: 'beforebegin'
+        }));
         
-        // Focus automatique dans l'input de transcription
-        setTimeout(() => {
-            document.getElementById('transcriptionInput').focus();
-        }, 100);
+        // Spectrogramme (formants) - affiché par défaut avec opacité réduite
+        this.setSpectrogramEnabled(true);
         
-        // Highlight visuel
-        this.highlightSegment(segment.id);
-    }
-    
-    highlightSegment(segmentId) {
-        // Retirer highlights existants
-        document.querySelectorAll('.segment-highlighted').forEach(el => {
-            el.classList.remove('segment-highlighted');
+        // Activer la sélection à la souris pour créer des segments
+        this.masterRegions.enableDragSelection({
+            color: 'rgba(66, 153, 225, 0.3)'
         });
         
-        if (!segmentId) return;
+        // Shift + glisser = sélectionner les segments de l'intervalle (voir onRegionCreated)
+        document.getElementById('waveform').addEventListener('pointerdown', (e) => {
+            this.rubberBand = e.shiftKey;
+        }, true);
         
-        // Ajouter highlight
-        const regions = this.masterRegions.getRegions();
-        const masterRegion = regions.find(r => r.id === segmentId);
-        if (masterRegion && masterRegion.element) {
-            masterRegion.element.classList.add('segment-highlighted');
+        // Événements
+        this.masterWave.on('ready', () => this.onAudioReady());
+        this.masterWave.on('timeupdate', (t) => this.onTimeUpdate(t));
+        this.masterWave.on('scroll', () => this.syncScroll(this.masterWave));
+        this.masterWave.on('zoom', () => this.syncScroll(this.masterWave));
+        this.masterWave.on('play', () => { document.getElementById('playBtn').textContent = '⏸'; });
+        this.masterWave.on('pause', () => { document.getElementById('playBtn').textContent = '▶'; });
+        
+        // Événements régions
+        this.masterRegions.on('region-created', (r) => this.onRegionCreated(r));
+        this.masterRegions.on('region-updated', (r) => this.onRegionUpdated(r));
+        this.masterRegions.on('region-clicked', (r, e) => this.selectSegmentByRegion(r, e));
+        
+        // Double-clic sur région pour éditer
+        this.masterRegions.on('region-double-clicked', (r) => this.openInlineEditor(r));
+        
+        // Événements pour la lecture en boucle
+        this.masterRegions.on('region-in', (region) => {
+            this.activeRegion = region;
+        });
+        
+        this.masterRegions.on('region-out', (region) => {
+            if (this.activeRegion === region && this.isPlayingSegment) {
+                if (this.playQueue.length > 0) {
+                    // Lecture enchaînée de la sélection
+                    this.activeRegion = this.playQueue.shift();
+                    this.activeRegion.play();
+                } else if (this.loopEnabled) {
+                    // La boucle reprend toute la sélection (ou le seul segment joué)
+                    const [first, ...rest] = this.playList.length > 0 ? this.playList : [region];
+                    this.playQueue = rest;
+                    this.activeRegion = first;
+                    first.play();
+                } else {
+                    this.isPlayingSegment = false;
+                    this.masterWave.pause();
+                }
+            }
+        });
+        
+        // Clic sur waveform = réinitialiser la région active
+        this.masterWave.on('interaction', () => {
+            if (!this.isPlayingSegment) {
+                this.activeRegion = null;
+            }
+        });
+    }
+    
+    // ========================================================================
+    // FILTRES AUDIO
+    // ========================================================================
+    
+    initAudioFilters() {
+        if (!this.masterWave || !this.masterWave.getMediaElement()) return;
+        
+        try {
+            // Créer le contexte audio s'il n'existe pas
+            if (!this.audioContext) {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
+            
+            const mediaElement = this.masterWave.getMediaElement();
+            const source = this.audioContext.createMediaElementSource(mediaElement);
+            
+            // Créer les filtres
+            this.highpassFilter = this.audioContext.createBiquadFilter();
+            this.highpassFilter.type = 'highpass';
+            this.highpassFilter.frequency.value = 0;
+            
+            this.lowpassFilter = this.audioContext.createBiquadFilter();
+            this.lowpassFilter.type = 'lowpass';
+            this.lowpassFilter.frequency.value = 20000;
+            
+            // Connecter: source -> highpass -> lowpass -> destination
+            source.connect(this.highpassFilter);
+            this.highpassFilter.connect(this.lowpassFilter);
+            this.lowpassFilter.connect(this.audioContext.destination);
+            
+            console.log('✅ Filtres audio initialisés');
+        } catch (error) {
+            console.warn('⚠️ Impossible d\'initialiser les filtres audio:', error);
         }
     }
     
-    openInlineEditor(region) {
-        const segment = this.segments.find(s => s.id === region.id);
-        if (segment) {
-            this.selectSegment(segment);
-            document.getElementById('transcriptionInput').select();
+    setHighpassFrequency(freq) {
+        if (this.highpassFilter) {
+            this.highpassFilter.frequency.value = freq;
         }
     }
     
-    saveTranscription() {
-        if (!this.selectedSegment) return;
+    setLowpassFrequency(freq) {
+        if (this.lowpassFilter) {
+            this.lowpassFilter.frequency.value = freq;
+        }
+    }
+    
+    resetFilters() {
+        document.getElementById('highpassSlider').value = 0;
+        document.getElementById('lowpassSlider').value = 20000;
+        document.getElementById('highpassValue').textContent = '0 Hz';
+        document.getElementById('lowpassValue').textContent = '20k Hz';
         
-        const text = document.getElementById('transcriptionInput').value;
-        this.selectedSegment.transcription = text;
+        this.setHighpassFrequency(0);
+        this.setLowpassFrequency(20000);
         
-        // Mettre à jour visuel sur piste locuteur
-        const track = this.speakerTracks.find(t => t.speakerNum === this.selectedSegment.speaker);
-        if (track) {
-            track.updateSegmentVisual(this.selectedSegment);
+        this.showToast('Filtres réinitialisés', 'info');
+    }
+    
+    // ========================================================================
+    // CHARGEMENT AUDIO
+    // ========================================================================
+    
+    loadAudioFile(file) {
+        if (this.cancelAudioReady) {
+            this.cancelAudioReady();
+        }
+        this.audioFile = file;
+        this.audioFileName = file.name;
+        this.audioFingerprint = null;
+        this.audioFingerprintPromise = null;
+        this.showToast(`Chargement de ${file.name}...`, 'info');
+        
+        this.longAudioLoad = null;
+        if (this.longAudioUrl) {
+            URL.revokeObjectURL(this.longAudioUrl);
+            this.longAudioUrl = null;
+        }
+        this.audioBuffer = null;
+        this.trackPeaks = null;
+        this.peakLevels = null;
+        document.getElementById('longFileStatus').textContent = '';
+        
+        if (this.useLongFileMode(file)) {
+            this.loadLongAudioFile(file);
+            return;
         }
         
-        this.showToast('Transcription saved', 'success');
+        this.longAudio = null;
+        this.setSpectrogramEnabled(true);
+        this.masterWave.loadBlob(file);
     }
     
-    deleteSegment() {
-        if (!this.selectedSegment) return;
+    /**
+     * Run `callback` once the master is ready with `file` (call after
+     * loadAudioFile). Dropped if decoding fails or another file is loaded
+     * first, so a project is never applied to the wrong audio.
+     */
+    whenAudioFileReady(file, callback) {
+        const cancel = () => {
+            offReady();
+            offError();
+            if (this.cancelAudioReady === cancel) {
+                this.cancelAudioReady = null;
+            }
+        };
+        const offReady = this.masterWave.on('ready', () => {
+            cancel();
+            if (this.audioFile === file) {
+                callback();
+            }
+        });
+        const offError = this.masterWave.on('error', cancel);
+        this.cancelAudioReady = cancel;
+    }
+    
+    /**
+     * Whether `file` is the one an audio reference was taken from
+     */
+    matchesAudioRef(file, ref) {
+        const current = this.getAudioFileRef(file);
+        return current.name === ref.name && current.size === ref.size && current.lastModified === ref.lastModified;
+    }
+    
+    onAudioReady() {
+        console.log('✅ Audio ready');
         
-        // Save state before deleting
-        this.saveState('delete segment');
+        // En mode fichier long, getDecodedData() ne contient que les pics
+        if (this.longAudio) {
+            this.audioBuffer = null;
+        } else {
+            this.audioBuffer = this.masterWave.getDecodedData();
+            this.trackPeaks = null;
+            this.peakLevels = null;
+        }
         
-        const id = this.selectedSegment.id;
+        const duration = this.masterWave.getDuration();
+        document.getElementById('totalDuration').textContent = this.formatTime(duration);
         
-        // Retirer du tableau
-        this.segments = this.segments.filter(s => s.id !== id);
+        // Enable buttons
+        document.getElementById('autoSegBtn').disabled = false;
+        document.getElementById('exportBtn').disabled = false;
         
-        // Retirer de master
-        const regions = this.masterRegions.getRegions();
-        const masterRegion = regions.find(r => r.id === id);
-        if (masterRegion) {
-            masterRegion.remove();
-        }
+        // Initialize audio filters
+        this.initAudioFilters();
         
-        // Retirer de piste locuteur
-        const track = this.speakerTracks.find(t => t.speakerNum === this.selectedSegment.speaker);
-        if (track) {
-            track.removeSegment(id);
+        // Aimantation : il faut les échantillons décodés
+        const snapToggle = document.getElementById('snapToggle');
+        snapToggle.disabled = !!this.longAudio;
+        document.getElementById('snapAllBtn').disabled = !!this.longAudio;
+        if (this.longAudio && this.snapEnabled) {
+            snapToggle.checked = false;
+            this.snapEnabled = false;
         }
         
-        this.closeEditor();
-        this.showToast('Segment deleted', 'info');
+        // Speaker tracks draw the master's peaks: no second decode
+        this.speakerTracks.forEach(track => track.loadPeaks(this.getTrackPeaks()));
+        
+        // Vue d'ensemble
+        this.overviewPeaks = null;
+        this.renderOverview();
+        
+        // Fingerprint used to check that imported projects match this audio
+        this.audioFingerprintPromise = this.computeAudioFingerprint()
+            .then(fp => { this.audioFingerprint = fp; return fp; })
+            .catch(error => {
+                console.warn('⚠️ Audio fingerprint failed:', error);
+                return null;
+            });
+        
+        this.showToast('Audio loaded!', 'success');
     }
     
-    closeEditor() {
-        this.selectedSegment = null;
-        document.getElementById('editionPanel').classList.add('hidden');
-        this.highlightSegment(null);
+    /**
+     * The spectrogram needs the decoded samples: it is removed in long-file
+     * mode and registered again for the next normal file
+     */
+    setSpectrogramEnabled(enabled) {
+        if (enabled && !this.masterSpectrogram) {
+            this.masterSpectrogram = this.masterWave.registerPlugin(WaveSurfer.Spectrogram.create({
+                container: '#spectrogram',
+                labels: true,
+                height: 128
+            }));
+        } else if (!enabled && this.masterSpectrogram) {
+            this.masterSpectrogram.destroy();
+            this.masterSpectrogram = null;
+        }
     }
     
-    moveSegmentToSpeaker(direction) {
-        if (!this.selectedSegment) return;
+    onTimeUpdate(time) {
+        document.getElementById('currentTime').textContent = this.formatTime(time);
         
-        const currentSpeaker = this.selectedSegment.speaker;
-        const newSpeaker = Math.max(1, Math.min(this.speakerTracks.length, currentSpeaker + direction));
+        // Synchroniser les pistes locuteurs
+        this.speakerTracks.forEach(track => {
+            if (track.wave) {
+                track.wave.setTime(time);
+            }
+        });
+    }
+    
+    // ========================================================================
+    // FICHIERS LONGS (lecture en flux, pics et analyses par blocs)
+    // ========================================================================
+    
+    /**
+     * Long-file mode is forced by the toolbar toggle, automatic above longFileThreshold
+     */
+    useLongFileMode(file) {
+        return document.getElementById('longFileToggle').checked || file.size > this.longFileThreshold;
+    }
+    
+    /**
+     * Load a file without decoding it whole: the master plays it from its
+     * media element and draws peaks computed chunk by chunk (or read from the
+     * IndexedDB cache). Only WAV (exact) and MP3 (byte ranges from a frame
+     * index, approximate at chunk edges) can be cut into independent chunks;
+     * other formats fall back to a full decode.
+     */
+    async loadLongAudioFile(file) {
+        const load = {};
+        this.longAudioLoad = load;
+        const superseded = () => this.longAudioLoad !== load;
+        const status = document.getElementById('longFileStatus');
         
-        if (newSpeaker !== currentSpeaker) {
-            // Save state before changing speaker
-            this.saveState('change speaker');
+        try {
+            const info = await this.probeLongAudio(file);
+            if (superseded()) return;
             
-            // Retirer de l'ancienne piste
-            const oldTrack = this.speakerTracks.find(t => t.speakerNum === currentSpeaker);
-            if (oldTrack) {
-                oldTrack.removeSegment(this.selectedSegment.id);
+            if (!info) {
+                this.showToast('Long-file mode needs WAV or MP3, decoding the whole file', 'info');
+                this.longAudioLoad = null;
+                this.longAudio = null;
+                this.setSpectrogramEnabled(true);
+                this.masterWave.loadBlob(file);
+                return;
             }
             
-            // Changer le speaker
-            this.selectedSegment.speaker = newSpeaker;
-            this.selectedSegment.color = this.speakerColors[(newSpeaker - 1) % this.speakerColors.length];
+            this.longAudio = info;
+            const cacheKey = this.getAudioFileKey(file);
+            let scan = await this.loadCachedPeaks(cacheKey);
+            const cached = !!scan;
             
-            // Ajouter à la nouvelle piste
-            const newTrack = this.speakerTracks.find(t => t.speakerNum === newSpeaker);
-            if (newTrack) {
-                newTrack.addSegment(this.selectedSegment);
+            if (!scan) {
+                scan = await this.scanLongAudio((progress) => {
+                    status.textContent = `⏳ Reading ${progress}%`;
+                }, superseded);
+                if (!scan) return;
             }
+            if (superseded()) return;
             
-            // Mettre à jour couleur sur master
-            const regions = this.masterRegions.getRegions();
-            const masterRegion = regions.find(r => r.id === this.selectedSegment.id);
-            if (masterRegion) {
-                masterRegion.setOptions({ color: this.selectedSegment.color.bg });
+            info.channels = info.channels || scan.channels;
+            info.envelope = scan.envelope;
+            this.trackPeaks = { peaks: [scan.peaks], duration: info.duration };
+            // Niveaux 20/s et 2/s : lus dans le cache, sinon calculés une fois et mis en cache
+            this.peakLevels = scan.levels
+                ? [{ rate: this.trackPeaksPerSecond, data: scan.peaks }, ...scan.levels]
+                : null;
+            if (!cached) {
+                this.saveCachedPeaks(cacheKey, scan, this.getPeakLevels());
             }
             
-            // Mettre à jour UI
-            document.getElementById('speakerSelect').value = newSpeaker;
-            this.showToast(`Assigned to ${newTrack.name}`, 'info');
+            status.textContent = '⏳ Long file';
+            status.title = 'Streamed playback, chunked analysis (no spectrogram, no snapping)';
+            this.setSpectrogramEnabled(false);
+            
+            this.longAudioUrl = URL.createObjectURL(file);
+            await this.masterWave.load(this.longAudioUrl, this.trackPeaks.peaks, info.duration);
+            
+        } catch (error) {
+            console.error('❌ Long file loading error:', error);
+            // The scan needed longAudio, but the file never loaded: analyses must not see it
+            if (!superseded()) {
+                this.longAudio = null;
+                this.trackPeaks = null;
+            }
+            status.textContent = '';
+            this.showToast(`Error: cannot read ${file.name} (${error.message})`, 'danger');
         }
     }
     
-    onRegionUpdated(region) {
-        const segment = this.segments.find(s => s.id === region.id);
-        if (segment) {
-            segment.start = region.start;
-            segment.end = region.end;
+    /**
+     * Read what chunked decoding needs: the WAV layout (fmt chunk, PCM data
+     * range) or, for MP3, its seek table and the duration reported by a media element
+     * @returns {Promise<Object|null>} null if the format cannot be chunked
+     */
+    async probeLongAudio(file) {
+        const head = new DataView(await file.slice(0, 12).arrayBuffer());
+        const fourCC = (view, offset) => String.fromCharCode(
+            view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+        
+        if (head.byteLength === 12 && fourCC(head, 0) === 'RIFF' && fourCC(head, 8) === 'WAVE') {
+            let fmt = null;
+            let offset = 12;
             
-            // Mettre à jour sur piste locuteur
-            const track = this.speakerTracks.find(t => t.speakerNum === segment.speaker);
-            if (track) {
+            while (offset + 8 <= file.size) {
+                const chunk = new DataView(await file.slice(offset, offset + 8).arrayBuffer());
+                const id = fourCC(chunk, 0);
+                const size = chunk.getUint32(4, true);
+                
+                if (id === 'fmt ') {
+                    fmt = new Uint8Array(await file.slice(offset + 8, offset + 8 + size).arrayBuffer());
+                } else if (id === 'data' && fmt) {
+                    const view = new DataView(fmt.buffer);
+                    const sampleRate = view.getUint32(4, true);
+                    const blockAlign = view.getUint16(12, true);
+                    // La taille annoncée est fausse pour les fichiers tronqués ou > 4 Go
+                    const dataSize = Math.min(size, file.size - offset - 8);
+                    const frames = Math.floor(dataSize / blockAlign);
+                    return {
+                        format: 'wav',
+                        file,
+                        fmt,
+                        sampleRate,
+                        blockAlign,
+                        channels: view.getUint16(2, true),
+                        dataOffset: offset + 8,
+                        dataSize: frames * blockAlign,
+                        duration: frames / sampleRate
+                    };
+                }
+                offset += 8 + size + (size % 2);
+            }
+            return null;
+        }
+        
+        if (/mpeg|mp3/.test(file.type) || /\.mp3$/i.test(file.name)) {
+            const seekTable = await this.readMp3SeekTable(file);
+            if (!seekTable) return null;
+            return { format: 'mp3', file, channels: null, seekTable, duration: await this.readMediaDuration(file) };
+        }
+        return null;
+    }
+    
+    /**
+     * Map playback position to byte offset in an MP3: linear for constant
+     * bitrate, otherwise indexed from the frame headers (the Xing TOC is only
+     * precise to 1/256 of the file). ID3v2 (e.g. cover art) and ID3v1 tags
+     * are left out of the range.
+     * @returns {Promise<Array<[number, number]>|null>} [fraction of duration, byte] points,
+     *          null if no frame can be found (not an MP3 after all)
+     */
+    async readMp3SeekTable(file) {
+        const read = async (from, to) => new DataView(await file.slice(from, to).arrayBuffer());
+        const text = (view, offset, length) => offset + length > view.byteLength ? '' :
+            String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset, length));
+        
+        let audioStart = 0;
+        const id3 = await read(0, 10);
+        if (text(id3, 0, 3) === 'ID3') {
+            // Taille « synchsafe » : 7 bits par octet, plus le pied de page éventuel
+            const size = [6, 7, 8, 9].reduce((acc, i) => (acc << 7) | (id3.getUint8(i) & 0x7f), 0);
+            audioStart = 10 + size + (id3.getUint8(5) & 0x10 ? 10 : 0);
+        }
+        let audioEnd = file.size;
+        if (file.size - audioStart > 128 && text(await read(file.size - 128, file.size - 125), 0, 3) === 'TAG') {
+            audioEnd -= 128;
+        }
+        
+        const head = await read(audioStart, Math.min(audioEnd, audioStart + 65536));
+        const first = this.findMp3Frame(head, 0);
+        if (first < 0) return null;
+        const frame = this.parseMp3FrameHeader(head, first);
+        const streamStart = audioStart + first;
+        
+        // Xing/Info sits after the side information, VBRI at a fixed offset
+        const xingTag = text(head, first + 4 + (frame.mpeg1 ? (frame.mono ? 17 : 32) : (frame.mono ? 9 : 17)), 4);
+        if (xingTag === 'Info') {
+            // LAME CBR : the tag frame itself holds no audio
+            return [[0, streamStart + frame.length], [1, audioEnd]];
+        }
+        const tagged = xingTag === 'Xing' || text(head, first + 36, 4) === 'VBRI';
+        if (!tagged && await this.isConstantBitrateMp3(file, streamStart, audioEnd, frame.bitrate)) {
+            return [[0, streamStart], [1, audioEnd]];
+        }
+        return this.indexMp3Frames(file, streamStart + (tagged ? frame.length : 0), audioEnd);
+    }
+    
+    /**
+     * Walk the frame headers of a VBR stream, 1 MB at a time, keeping one
+     * [frame, byte] point per ~second
+     * @returns {Promise<Array<[number, number]>|null>}
+     */
+    async indexMp3Frames(file, start, end) {
+        const blockSize = 1 << 20;
+        const points = [[0, start]];
+        let frames = 0;
+        let offset = start;
+        let streamEnd = start;
+        
+        while (offset + 4 <= end) {
+            const view = new DataView(await file.slice(offset, Math.min(end, offset + blockSize)).arrayBuffer());
+            let position = 0;
+            
+            while (position + 4 <= view.byteLength) {
+                let frame = this.parseMp3FrameHeader(view, position);
+                if (!frame) {
+                    // Données parasites : resynchroniser sur la trame suivante
+                    const next = this.findMp3Frame(view, position + 1);
+                    if (next < 0) {
+                        // A frame cut by the block edge cannot be checked: retry it with the next block
+                        position = offset + view.byteLength >= end
+                            ? view.byteLength
+                            : Math.max(position + 1, view.byteLength - 4096);
+                        break;
+                    }
+                    position = next;
+                    frame = this.parseMp3FrameHeader(view, position);
+                }
+                if (frames > 0 && frames % 40 === 0) {
+                    points.push([frames, offset + position]);
+                }
+                frames++;
+                position += frame.length;
+                streamEnd = offset + position;
+            }
+            offset += position;
+        }
+        
+        if (!frames) return null;
+        points.push([frames, Math.min(end, streamEnd)]);
+        return points.map(([frame, byte]) => [frame / frames, byte]);
+    }
+    
+    /**
+     * Sample frame headers across the stream and compare their bitrates
+     */
+    async isConstantBitrateMp3(file, start, end, bitrate) {
+        const probes = 8;
+        for (let i = 1; i <= probes; i++) {
+            const from = Math.floor(start + (end - start) * i / (probes + 1));
+            const view = new DataView(await file.slice(from, Math.min(end, from + 8192)).arrayBuffer());
+            const offset = this.findMp3Frame(view, 0);
+            if (offset < 0 || this.parseMp3FrameHeader(view, offset).bitrate !== bitrate) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * First offset holding an MPEG audio layer III frame header that is
+     * followed by another one (a lone sync pattern can occur in audio data)
+     * @returns {number} -1 if none
+     */
+    findMp3Frame(view, from) {
+        for (let offset = from; offset + 4 <= view.byteLength; offset++) {
+            const frame = this.parseMp3FrameHeader(view, offset);
+            if (!frame) continue;
+            const next = this.parseMp3FrameHeader(view, offset + frame.length);
+            if (next && next.sampleRate === frame.sampleRate) {
+                return offset;
+            }
+        }
+        return -1;
+    }
+    
+    /**
+     * Decode a layer III frame header
+     * @returns {{bitrate: number, sampleRate: number, mpeg1: boolean, mono: boolean, length: number}|null}
+     */
+    parseMp3FrameHeader(view, offset) {
+        if (offset + 4 > view.byteLength) return null;
+        const b1 = view.getUint8(offset + 1);
+        const b2 = view.getUint8(offset + 2);
+        if (view.getUint8(offset) !== 0xff || (b1 & 0xe0) !== 0xe0) return null;
+        
+        const version = (b1 >> 3) & 3;           // 0 : MPEG 2.5, 2 : MPEG 2, 3 : MPEG 1
+        const bitrateIndex = b2 >> 4;
+        const rateIndex = (b2 >> 2) & 3;
+        if (version === 1 || ((b1 >> 1) & 3) !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+            return null;
+        }
+        
+        const mpeg1 = version === 3;
+        const bitrate = (mpeg1
+            ? [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+            : [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160])[bitrateIndex] * 1000;
+        const sampleRate = [44100, 48000, 32000][rateIndex] / (mpeg1 ? 1 : version === 2 ? 2 : 4);
+        const padding = (b2 >> 1) & 1;
+        
+        return {
+            bitrate,
+            sampleRate,
+            mpeg1,
+            mono: (view.getUint8(offset + 3) >> 6) === 3,
+            length: Math.floor((mpeg1 ? 144 : 72) * bitrate / sampleRate) + padding
+        };
+    }
+    
+    readMediaDuration(file) {
+        return new Promise((resolve, reject) => {
+            const media = document.createElement('audio');
+            const url = URL.createObjectURL(file);
+            media.preload = 'metadata';
+            media.onloadedmetadata = () => {
+                URL.revokeObjectURL(url);
+                resolve(media.duration);
+            };
+            media.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(media.error || new Error('cannot read audio metadata'));
+            };
+            media.src = url;
+        });
+    }
+    
+    /**
+     * Decode [start, end[ seconds of the long file, first channel at
+     * analysisSampleRate. A WAV chunk is its PCM bytes behind a copy of the
+     * original fmt chunk; an MP3 chunk is the byte range from its seek table.
+     * @returns {Promise<Float32Array>}
+     */
+    async decodeLongAudioChunk(start, end) {
+        const info = this.longAudio;
+        let bytes;
+        
+        if (info.format === 'wav') {
+            const first = Math.floor(start * info.sampleRate) * info.blockAlign;
+            const last = Math.min(info.dataSize, Math.ceil(end * info.sampleRate) * info.blockAlign);
+            const header = new DataView(new ArrayBuffer(28 + info.fmt.length));
+            const writeFourCC = (offset, text) => {
+                for (let i = 0; i < 4; i++) header.setUint8(offset + i, text.charCodeAt(i));
+            };
+            
+            writeFourCC(0, 'RIFF');
+            header.setUint32(4, 20 + info.fmt.length + (last - first), true);
+            writeFourCC(8, 'WAVE');
+            writeFourCC(12, 'fmt ');
+            header.setUint32(16, info.fmt.length, true);
+            new Uint8Array(header.buffer).set(info.fmt, 20);
+            writeFourCC(20 + info.fmt.length, 'data');
+            header.setUint32(24 + info.fmt.length, last - first, true);
+            
+            const pcm = info.file.slice(info.dataOffset + first, info.dataOffset + last);
+            bytes = await new Blob([header.buffer, pcm]).arrayBuffer();
+        } else {
+            const from = Math.floor(this.mp3ByteOffset(info, start));
+            const to = Math.ceil(this.mp3ByteOffset(info, end));
+            bytes = await info.file.slice(from, to).arrayBuffer();
+        }
+        
+        if (!this.decodeContext) {
+            this.decodeContext = new OfflineAudioContext(1, 1, this.analysisSampleRate);
+        }
+        const buffer = await this.decodeContext.decodeAudioData(bytes);
+        info.channels = info.channels || buffer.numberOfChannels;
+        return buffer.getChannelData(0);
+    }
+    
+    /**
+     * Byte offset of `time` in the long MP3, interpolated in its seek table
+     */
+    mp3ByteOffset(info, time) {
+        const fraction = Math.min(1, Math.max(0, time / info.duration));
+        const table = info.seekTable;
+        let i = 1;
+        while (i < table.length - 1 && table[i][0] < fraction) i++;
+        
+        const [f0, b0] = table[i - 1];
+        const [f1, b1] = table[i];
+        return b0 + (f1 > f0 ? (fraction - f0) / (f1 - f0) : 0) * (b1 - b0);
+    }
+    
+    /**
+     * One pass over the long file, one chunk in memory at a time: track
+     * peaks (trackPeaksPerSecond) and the 10 frames/s fingerprint envelope
+     * @param {Function} onProgress - Called with 0-100
+     * @param {Function} isCancelled - Checked after each chunk
+     * @returns {Promise<{peaks: Float32Array, envelope: Uint8Array, channels: number}|null>}
+     */
+    async scanLongAudio(onProgress, isCancelled) {
+        const duration = this.longAudio.duration;
+        const peakRate = this.trackPeaksPerSecond;
+        const envelopeRate = 10;
+        const frameSize = Math.floor(this.analysisSampleRate / envelopeRate);
+        const peaks = new Float32Array(Math.ceil(duration * peakRate));
+        const rms = new Float32Array(Math.floor(duration * envelopeRate));
+        const chunkSeconds = this.longFileChunkSeconds;
+        
+        for (let start = 0; start < duration; start += chunkSeconds) {
+            const end = Math.min(duration, start + chunkSeconds);
+            const data = await this.decodeLongAudioChunk(start, end);
+            if (isCancelled()) return null;
+            
+            const first = Math.round(start * peakRate);
+            const bins = Math.min(peaks.length - first, Math.ceil((end - start) * peakRate));
+            peaks.set(this.computePeaks(data, bins), first);
+            
+            const frames = this.computeRMSFrames(data, frameSize);
+            const firstFrame = Math.round(start * envelopeRate);
+            rms.set(frames.subarray(0, Math.max(0, rms.length - firstFrame)), firstFrame);
+            
+            onProgress(Math.round((end / duration) * 100));
+        }
+        
+        return { peaks, envelope: this.scaleEnvelope(rms), channels: this.longAudio.channels };
+    }
+    
+    /**
+     * Peaks cached by file identity in the autosave database, with the
+     * coarser overview levels, so reopening a long file skips the scan
+     */
+    async loadCachedPeaks(key) {
+        if (!this.autosaveDB) return null;
+        try {
+            const record = await this.autosaveRequest('peaks', 'readonly', store => store.get(key));
+            return record || null;
+        } catch (error) {
+            console.warn('⚠️ Peaks cache unavailable:', error);
+            return null;
+        }
+    }
+    
+    async saveCachedPeaks(key, scan, levels) {
+        if (!this.autosaveDB) return;
+        try {
+            await this.autosaveRequest('peaks', 'readwrite', store => store.put({
+                id: key,
+                created: Date.now(),
+                peaks: scan.peaks,
+                levels: levels.slice(1),
+                envelope: scan.envelope,
+                channels: scan.channels
+            }));
+            await this.pruneCachedPeaks();
+        } catch (error) {
+            console.warn('⚠️ Peaks not cached:', error);
+        }
+    }
+    
+    /**
+     * Keep only the maxCachedPeaks most recent entries
+     */
+    pruneCachedPeaks() {
+        return new Promise((resolve, reject) => {
+            const tx = this.autosaveDB.transaction('peaks', 'readwrite');
+            const store = tx.objectStore('peaks');
+            const countRequest = store.count();
+            
+            countRequest.onsuccess = () => {
+                let excess = countRequest.result - this.maxCachedPeaks;
+                if (excess <= 0) return;
+                
+                store.index('created').openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (cursor && excess-- > 0) {
+                        cursor.delete();
+                        cursor.continue();
+                    }
+                };
+            };
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+    
+    /**
+     * Format of the samples handed to the analyses (readAudio, forEachAudioChunk)
+     * @returns {{sampleRate: number, channels: number, duration: number}|null}
+     */
+    getAudioInfo() {
+        if (this.longAudio) {
+            return {
+                sampleRate: this.analysisSampleRate,
+                channels: this.longAudio.channels,
+                duration: this.longAudio.duration
+            };
+        }
+        if (this.audioBuffer) {
+            return {
+                sampleRate: this.audioBuffer.sampleRate,
+                channels: this.audioBuffer.numberOfChannels,
+                duration: this.audioBuffer.duration
+            };
+        }
+        return null;
+    }
+    
+    /**
+     * First channel between two times: a view on audioBuffer, or a chunk
+     * decoded on demand in long-file mode
+     * @returns {Promise<Float32Array>}
+     */
+    async readAudio(start, end) {
+        if (this.longAudio) {
+            return this.decodeLongAudioChunk(start, end);
+        }
+        const sampleRate = this.audioBuffer.sampleRate;
+        return this.audioBuffer.getChannelData(0).subarray(Math.floor(start * sampleRate), Math.floor(end * sampleRate));
+    }
+    
+    /**
+     * Feed the first channel to `callback(data, offset)` chunk by chunk
+     * (offset = sample index of data[0]), yielding to the UI between chunks.
+     * In long-file mode only the current chunk is held in memory.
+     * @param {Function} onProgress - Called with 0-100 after each chunk
+     */
+    async forEachAudioChunk(callback, onProgress = () => {}) {
+        const { sampleRate, duration } = this.getAudioInfo();
+        const chunkSeconds = this.longAudio ? this.longFileChunkSeconds : 10;
+        
+        for (let start = 0; start < duration; start += chunkSeconds) {
+            const end = Math.min(duration, start + chunkSeconds);
+            await callback(await this.readAudio(start, end), Math.round(start * sampleRate));
+            onProgress(Math.round((end / duration) * 100));
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+    
+    // ========================================================================
+    // EMPREINTE AUDIO
+    // ========================================================================
+    
+    /**
+     * Describe the loaded audio: content hash, decoded format and a coarse
+     * loudness envelope (10 frames/s, 8-bit, base64) used to detect a constant
+     * time offset when the same recording was trimmed or re-encoded
+     * @returns {Promise<Object>}
+     */
+    async computeAudioFingerprint() {
+        const envelopeRate = 10;
+        const info = this.getAudioInfo();
+        let sha256 = null;
+        let envelope;
+        
+        // Fichier long : pas de hachage (il faudrait tout le fichier en mémoire),
+        // enveloppe calculée pendant le balayage par blocs
+        if (this.longAudio) {
+            envelope = this.longAudio.envelope;
+        } else {
+            sha256 = await this.computeSHA256(await this.audioFile.arrayBuffer());
+            envelope = this.computeEnvelope(this.audioBuffer, envelopeRate);
+        }
+        
+        let binary = '';
+        for (let i = 0; i < envelope.length; i += 8192) {
+            binary += String.fromCharCode.apply(null, envelope.subarray(i, i + 8192));
+        }
+        
+        return {
+            sha256,
+            size: this.audioFile.size,
+            sampleRate: info.sampleRate,
+            channels: info.channels,
+            duration: info.duration,
+            envelope: { rate: envelopeRate, data: btoa(binary) }
+        };
+    }
+    
+    /**
+     * RMS envelope of the first channel, scaled to 0-255
+     * @returns {Uint8Array}
+     */
+    computeEnvelope(audioBuffer, rate) {
+        const frameSize = Math.max(1, Math.floor(audioBuffer.sampleRate / rate));
+        return this.scaleEnvelope(this.computeRMSFrames(audioBuffer.getChannelData(0), frameSize));
+    }
+    
+    /**
+     * RMS of consecutive frames of `frameSize` samples (incomplete last frame dropped)
+     * @returns {Float32Array}
+     */
+    computeRMSFrames(channelData, frameSize) {
+        const frameCount = Math.floor(channelData.length / frameSize);
+        const rms = new Float32Array(frameCount);
+        
+        for (let f = 0; f < frameCount; f++) {
+            let sum = 0;
+            for (let i = f * frameSize; i < (f + 1) * frameSize; i++) {
+                sum += channelData[i] * channelData[i];
+            }
+            rms[f] = Math.sqrt(sum / frameSize);
+        }
+        return rms;
+    }
+    
+    /**
+     * Scale RMS values to 0-255 relative to their maximum
+     * @returns {Uint8Array}
+     */
+    scaleEnvelope(rms) {
+        const max = rms.reduce((m, v) => Math.max(m, v), 0);
+        const envelope = new Uint8Array(rms.length);
+        for (let f = 0; f < rms.length; f++) {
+            envelope[f] = max > 0 ? Math.round((rms[f] / max) * 255) : 0;
+        }
+        return envelope;
+    }
+    
+    /**
+     * Find the constant offset (in seconds) such that
+     * current time = stored time + offset, by cross-correlating envelopes:
+     * coarse search at 1 frame/s within ±10 min, then refinement at full rate
+     * @param {Uint8Array} stored - Envelope saved in the project
+     * @param {Uint8Array} current - Envelope of the loaded audio
+     * @param {number} rate - Envelope frames per second
+     * @returns {{offset: number, correlation: number}|null}
+     */
+    detectTimeOffset(stored, current, rate) {
+        const correlate = (a, b, lag, minOverlap) => {
+            const from = Math.max(0, -lag);
+            const to = Math.min(a.length, b.length - lag);
+            const n = to - from;
+            if (n < minOverlap) return -1;
+            
+            let sumA = 0, sumB = 0, sumAB = 0, sumA2 = 0, sumB2 = 0;
+            for (let i = from; i < to; i++) {
+                const x = a[i];
+                const y = b[i + lag];
+                sumA += x; sumB += y; sumAB += x * y; sumA2 += x * x; sumB2 += y * y;
+            }
+            const cov = sumAB - sumA * sumB / n;
+            const varA = sumA2 - sumA * sumA / n;
+            const varB = sumB2 - sumB * sumB / n;
+            return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : -1;
+        };
+        
+        const downsample = (env) => {
+            const out = new Float32Array(Math.floor(env.length / rate));
+            for (let i = 0; i < out.length; i++) {
+                let sum = 0;
+                for (let j = 0; j < rate; j++) sum += env[i * rate + j];
+                out[i] = sum / rate;
+            }
+            return out;
+        };
+        
+        const coarseA = downsample(stored);
+        const coarseB = downsample(current);
+        const minOverlap = Math.max(10, Math.floor(Math.min(coarseA.length, coarseB.length) * 0.3));
+        const maxLag = Math.min(600, Math.max(coarseA.length, coarseB.length));
+        
+        let bestLag = 0;
+        let bestCorr = -1;
+        for (let lag = -maxLag; lag <= maxLag; lag++) {
+            const corr = correlate(coarseA, coarseB, lag, minOverlap);
+            if (corr > bestCorr) {
+                bestCorr = corr;
+                bestLag = lag;
+            }
+        }
+        
+        if (bestCorr < 0) return null;
+        
+        let fineLag = bestLag * rate;
+        let fineCorr = -1;
+        for (let lag = (bestLag - 1) * rate; lag <= (bestLag + 1) * rate; lag++) {
+            const corr = correlate(stored, current, lag, minOverlap * rate);
+            if (corr > fineCorr) {
+                fineCorr = corr;
+                fineLag = lag;
+            }
+        }
+        
+        return { offset: fineLag / rate, correlation: fineCorr };
+    }
+    
+    /**
+     * Compare a project's audio fingerprint with the loaded audio and, on
+     * mismatch, ask whether to abort, load anyway or shift by the detected offset
+     * @returns {Promise<{action: string, offset: number}>} action: 'load' | 'abort' | 'offset'
+     */
+    async checkProjectAudio(projectAudio) {
+        const stored = projectAudio && projectAudio.fingerprint;
+        const current = this.audioFingerprintPromise ? await this.audioFingerprintPromise : null;
+        
+        // Older projects (or no audio loaded): fall back to the filename check
+        if (!stored || !current) {
+            if (projectAudio && projectAudio.filename && this.audioFileName &&
+                projectAudio.filename !== this.audioFileName) {
+                this.showToast(`⚠️ Audio différent: ${projectAudio.filename}`, 'info');
+            }
+            return { action: 'load', offset: 0 };
+        }
+        
+        if (stored.sha256 && stored.sha256 === current.sha256) {
+            return { action: 'load', offset: 0 };
+        }
+        
+        // Long-file mode has no hash: same size, format and duration is a match
+        const hashed = stored.sha256 && current.sha256;
+        if (!hashed && stored.size === current.size && stored.sampleRate === current.sampleRate &&
+            stored.channels === current.channels && Math.abs(stored.duration - current.duration) <= 0.001) {
+            return { action: 'load', offset: 0 };
+        }
+        
+        const differences = [];
+        differences.push(hashed
+            ? `content hash differs (project audio: ${projectAudio.filename || 'unknown'})`
+            : `content not hashed in long-file mode, audio differs (project audio: ${projectAudio.filename || 'unknown'})`);
+        if (stored.sampleRate !== current.sampleRate) {
+            differences.push(`sample rate ${stored.sampleRate} Hz → ${current.sampleRate} Hz`);
+        }
+        if (stored.channels !== current.channels) {
+            differences.push(`channels ${stored.channels} → ${current.channels}`);
+        }
+        if (Math.abs(stored.duration - current.duration) > 0.001) {
+            differences.push(`duration ${stored.duration.toFixed(3)} s → ${current.duration.toFixed(3)} s`);
+        }
+        
+        let detected = null;
+        if (stored.envelope && current.envelope && stored.envelope.rate === current.envelope.rate) {
+            const decode = (b64) => Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+            const result = this.detectTimeOffset(decode(stored.envelope.data), decode(current.envelope.data), current.envelope.rate);
+            if (result && result.correlation >= 0.8) {
+                detected = result;
+            }
+        }
+        
+        return this.askAudioMismatch(differences, detected);
+    }
+    
+    askAudioMismatch(differences, detected) {
+        return new Promise(resolve => {
+            const modal = document.getElementById('audioMismatchModal');
+            const list = document.getElementById('audioMismatchDetails');
+            const offsetBtn = document.getElementById('audioMismatchOffsetBtn');
+            const offsetInfo = document.getElementById('audioMismatchOffsetInfo');
+            
+            list.innerHTML = '';
+            differences.forEach(text => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                list.appendChild(item);
+            });
+            
+            if (detected && Math.abs(detected.offset) >= 0.05) {
+                const sign = detected.offset > 0 ? '+' : '';
+                offsetInfo.textContent = `Same recording detected with a constant offset of ${sign}${detected.offset.toFixed(2)} s (correlation ${detected.correlation.toFixed(2)}).`;
+                offsetBtn.textContent = `⏱ Apply ${sign}${detected.offset.toFixed(2)} s offset`;
+                offsetBtn.disabled = false;
+            } else if (detected) {
+                offsetInfo.textContent = `Same recording detected without time offset (re-encoded?) — correlation ${detected.correlation.toFixed(2)}.`;
+                offsetBtn.textContent = '⏱ Apply offset';
+                offsetBtn.disabled = true;
+            } else {
+                offsetInfo.textContent = 'No constant time offset could be detected.';
+                offsetBtn.textContent = '⏱ Apply offset';
+                offsetBtn.disabled = true;
+            }
+            
+            const finish = (action) => {
+                modal.classList.remove('active');
+                resolve({ action, offset: action === 'offset' ? detected.offset : 0 });
+            };
+            
+            document.getElementById('audioMismatchAbortBtn').onclick = () => finish('abort');
+            document.getElementById('audioMismatchLoadBtn').onclick = () => finish('load');
+            offsetBtn.onclick = () => finish('offset');
+            modal.querySelector('.close-btn').onclick = () => finish('abort');
+            
+            modal.classList.add('active');
+        });
+    }
+    
+    /**
+     * Shift imported segments by a constant offset, dropping those that fall
+     * outside the loaded audio
+     */
+    shiftImportedSegments(segments, offset) {
+        const duration = this.masterWave.getDuration();
+        
+        return segments
+            .map(seg => ({
+                ...seg,
+                start: Math.max(0, seg.start + offset),
+                end: Math.min(duration, seg.end + offset)
+            }))
+            .filter(seg => seg.end > seg.start);
+    }
+    
+    // ========================================================================
+    // RÉGION CRÉÉE PAR DRAG SELECTION
+    // ========================================================================
+    
+    /**
+     * @param {Object} region - Region created on the master or on a speaker track
+     * @param {SpeakerTrack|null} [sourceTrack=null] - Track the region was drawn on;
+     *        the new segment is then assigned to that speaker
+     */
+    onRegionCreated(region, sourceTrack = null) {
+        // Vérifier si c'est une nouvelle région créée par drag selection
+        // (pas une région qu'on a nous-même créée via createSegment)
+        const existingSegment = this.segments.find(s => s.id === region.id);
+        
+        if (!existingSegment && !sourceTrack && this.rubberBand) {
+            this.rubberBand = false;
+            region.remove();
+            this.selectTimeRange(region.start, region.end);
+            return;
+        }
+        
+        if (!existingSegment && region.end - region.start > 0.1) {
+            const edit = this.beginEdit(sourceTrack ? `Create segment on ${sourceTrack.name}` : 'Create segment (drag)');
+            
+            // C'est une nouvelle région créée par l'utilisateur
+            const speakerNum = sourceTrack ? sourceTrack.speakerNum : this.getDefaultSpeakerForNewSegment();
+            
+            const bounds = this.snapEnabled
+                ? this.snapBoundaries(region.start, region.end)
+                : { start: region.start, end: region.end };
+            
+            const segment = {
+                id: region.id,
+                start: bounds.start,
+                end: bounds.end,
+                speaker: speakerNum,
+                transcription: '',
+                color: this.speakerColors[(speakerNum - 1) % this.speakerColors.length]
+            };
+            
+            this.segments.push(segment);
+            
+            // Mettre à jour la couleur (et la position aimantée) de la région
+            region.setOptions({
+                start: segment.start,
+                end: segment.end,
+                color: sourceTrack ? sourceTrack.color.bg : segment.color.bg,
+                drag: true,
+                resize: true
+            });
+            
+            if (sourceTrack) {
+                // Région tracée sur une piste : créer sa jumelle sur le master
+                this.masterRegions.addRegion({
+                    id: segment.id,
+                    start: segment.start,
+                    end: segment.end,
+                    color: segment.color.bg,
+                    drag: true,
+                    resize: true
+                });
+            } else {
+                // Ajouter sur piste locuteur
+                const track = this.speakerTracks.find(t => t.speakerNum === speakerNum);
+                if (track) {
+                    track.addSegment(segment);
+                }
+            }
+            
+            this.commitEdit(edit);
+            
+            // Sélectionner le segment
+            this.selectSegment(segment);
+            
+            this.showToast('Segment created', 'success');
+        } else if (!existingSegment && sourceTrack) {
+            // Simple clic sur une piste : pas de segment
+            region.remove();
+        }
+    }
+    
+    // ========================================================================
+    // ZOOM, DÉFILEMENT ET VUE D'ENSEMBLE
+    // ========================================================================
+    
+    /**
+     * Apply the same zoom (px per second) to the master and every speaker track
+     */
+    setZoom(pxPerSec) {
+        // Garder le centre de la vue en place
+        const view = this.audioFile ? this.getVisibleWindow() : null;
+        const center = view ? view.start + view.duration / 2 : 0;
+        
+        this.zoomLevel = pxPerSec;
+        document.getElementById('zoomSlider').value = pxPerSec;
+        document.getElementById('zoomValue').textContent = pxPerSec;
+        
+        if (!this.audioFile) return;
+        
+        [this.masterWave, ...this.speakerTracks.map(t => t.wave)].forEach(wave => {
+            // zoom() exige un audio décodé (piste encore en chargement sinon)
+            if (wave && wave.getDecodedData()) {
+                wave.zoom(pxPerSec);
+            }
+        });
+        
+        const after = this.getVisibleWindow();
+        if (after) {
+            this.masterWave.setScroll(Math.max(0, (center - after.duration / 2) * after.pxPerSec));
+        }
+        this.syncScroll(this.masterWave);
+    }
+    
+    /**
+     * Visible time window of the master waveform
+     * @returns {{start: number, duration: number, pxPerSec: number}|null}
+     */
+    getVisibleWindow() {
+        const duration = this.masterWave?.getDuration();
+        if (!duration) return null;
+        
+        const width = this.masterWave.getWidth();
+        // Un fichier court est étiré pour remplir la largeur disponible
+        const pxPerSec = Math.max(this.zoomLevel, width / duration);
+        
+        return {
+            start: this.masterWave.getScroll() / pxPerSec,
+            duration: Math.min(duration, width / pxPerSec),
+            pxPerSec
+        };
+    }
+    
+    /**
+     * Copy the horizontal scroll of one waveform to all the others
+     * (master, spectrogram overlay, speaker tracks) and move the overview window
+     * @param {Object} source - WaveSurfer instance that scrolled
+     */
+    syncScroll(source) {
+        if (this.syncingScroll) return;
+        this.syncingScroll = true;
+        
+        try {
+            const scroll = source.getScroll();
+            
+            [this.masterWave, ...this.speakerTracks.map(t => t.wave)].forEach(wave => {
+                if (wave && wave !== source && wave.getDuration() && wave.getScroll() !== scroll) {
+                    wave.setScroll(scroll);
+                }
+            });
+            
+            document.getElementById('spectrogram').scrollLeft = scroll;
+        } finally {
+            this.syncingScroll = false;
+        }
+        
+        this.updateOverviewWindow();
+    }
+    
+    scheduleOverviewRender() {
+        if (this.overviewFrame) return;
+        this.overviewFrame = requestAnimationFrame(() => {
+            this.overviewFrame = null;
+            this.renderOverview();
+        });
+    }
+    
+    /**
+     * Draw the whole-file overview: waveform envelope, then one lane per
+     * speaker where every segment is a colored bar (dense zones stand out)
+     */
+    renderOverview() {
+        const canvas = document.getElementById('overview');
+        const duration = this.masterWave?.getDuration();
+        if (!canvas || !duration) return;
+        
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        canvas.width = width;
+        canvas.height = height;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        
+        // Enveloppe (calculée une fois par largeur)
+        if (!this.overviewPeaks || this.overviewPeaks.length !== width) {
+            this.overviewPeaks = this.computeOverviewPeaks(width);
+        }
+        
+        const waveHeight = height * 0.5;
+        ctx.fillStyle = '#a0aec0';
+        this.overviewPeaks.forEach((peak, x) => {
+            const h = Math.max(1, peak * waveHeight);
+            ctx.fillRect(x, (waveHeight - h) / 2, 1, h);
+        });
+        
+        // Segments par locuteur
+        const lanes = Math.max(1, this.speakerTracks.length);
+        const laneHeight = (height - waveHeight) / lanes;
+        
+        this.speakerTracks.forEach((track, lane) => {
+            ctx.fillStyle = track.color.border;
+            this.segments
+                .filter(seg => seg.speaker === track.speakerNum)
+                .forEach(seg => {
+                    const x = (seg.start / duration) * width;
+                    const w = Math.max(1, ((seg.end - seg.start) / duration) * width);
+                    ctx.fillRect(x, waveHeight + lane * laneHeight, w, Math.max(1, laneHeight - 1));
+                });
+        });
+        
+        this.updateOverviewWindow();
+    }
+    
+    /**
+     * Max absolute amplitude per pixel column, normalized to 0..1
+     */
+    computeOverviewPeaks(width) {
+        const levels = this.getPeakLevels();
+        if (!levels || width === 0) return new Float32Array(width);
+        
+        // Niveau le plus grossier qui a encore au moins un pic par pixel
+        const level = levels.slice().reverse().find(l => l.data.length >= width) || levels[0];
+        const peaks = this.computePeaks(level.data, width);
+        const max = peaks.reduce((m, v) => Math.max(m, v), 0);
+        
+        if (max > 0) {
+            for (let x = 0; x < width; x++) peaks[x] /= max;
+        }
+        return peaks;
+    }
+    
+    /**
+     * Absolute peak of each of `bins` equal blocks of a sample array
+     */
+    computePeaks(data, bins) {
+        const peaks = new Float32Array(bins);
+        const blockSize = data.length / bins;
+        
+        for (let x = 0; x < bins; x++) {
+            const from = Math.floor(x * blockSize);
+            const to = Math.min(data.length, Math.floor((x + 1) * blockSize));
+            let peak = 0;
+            for (let i = from; i < to; i++) {
+                const v = Math.abs(data[i]);
+                if (v > peak) peak = v;
+            }
+            peaks[x] = peak;
+        }
+        return peaks;
+    }
+    
+    /**
+     * Peaks of the decoded master audio at trackPeaksPerSecond, computed once
+     * and shared by every speaker track (WaveSurfer draws them without decoding).
+     * In long-file mode they come from the chunked scan instead.
+     * @returns {{peaks: Float32Array[], duration: number}|null}
+     */
+    getTrackPeaks() {
+        if (!this.trackPeaks && this.audioBuffer) {
+            const duration = this.audioBuffer.duration;
+            const bins = Math.max(1, Math.ceil(duration * this.trackPeaksPerSecond));
+            this.trackPeaks = {
+                peaks: [this.computePeaks(this.audioBuffer.getChannelData(0), bins)],
+                duration
+            };
+        }
+        return this.trackPeaks;
+    }
+    
+    /**
+     * The track peaks at 1, 1/10 and 1/100 of their resolution, derived once
+     * (or read from the peaks cache for long files) so whole-file views
+     * (overview) don't walk the finest level
+     * @returns {Array<{rate: number, data: Float32Array}>|null}
+     */
+    getPeakLevels() {
+        const trackPeaks = this.getTrackPeaks();
+        if (!trackPeaks) return null;
+        
+        if (!this.peakLevels) {
+            const base = trackPeaks.peaks[0];
+            this.peakLevels = [1, 10, 100].map(factor => ({
+                rate: this.trackPeaksPerSecond / factor,
+                data: factor === 1 ? base : this.computePeaks(base, Math.max(1, Math.ceil(base.length / factor)))
+            }));
+        }
+        return this.peakLevels;
+    }
+    
+    updateOverviewWindow() {
+        const box = document.getElementById('overviewWindow');
+        const view = this.getVisibleWindow();
+        if (!box || !view) return;
+        
+        const duration = this.masterWave.getDuration();
+        box.style.left = `${(view.start / duration) * 100}%`;
+        box.style.width = `${(view.duration / duration) * 100}%`;
+    }
+    
+    /**
+     * Center the visible window on the time under the pointer
+     */
+    scrollOverviewTo(event) {
+        const view = this.getVisibleWindow();
+        if (!view) return;
+        
+        const rect = event.currentTarget.getBoundingClientRect();
+        const ratio = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+        const time = ratio * this.masterWave.getDuration();
+        
+        this.masterWave.setScroll(Math.max(0, (time - view.duration / 2) * view.pxPerSec));
+        this.syncScroll(this.masterWave);
+    }
+    
+    // ========================================================================
+    // AIMANTATION DES FRONTIÈRES
+    // ========================================================================
+    
+    /**
+     * Move a boundary to the quietest 10 ms frame within ±snapWindow,
+     * then to the nearest zero crossing of the first channel
+     * @param {number} time - Boundary in seconds
+     * @returns {number} snapped time (unchanged if no audio is decoded)
+     */
+    snapTime(time) {
+        if (!this.audioBuffer) return time;
+        
+        const data = this.audioBuffer.getChannelData(0);
+        const sampleRate = this.audioBuffer.sampleRate;
+        const frameSize = Math.max(2, Math.round(sampleRate * 0.01));
+        const hop = Math.max(1, Math.floor(frameSize / 4));
+        const center = Math.round(time * sampleRate);
+        const radius = Math.round(this.snapWindow * sampleRate);
+        
+        // 1. Trame d'énergie minimale ; les trames à moins de 5 % du minimum
+        //    sont considérées équivalentes et la plus proche de la frontière l'emporte
+        const frames = [];
+        const from = Math.max(frameSize / 2, center - radius);
+        const to = Math.min(data.length - frameSize / 2, center + radius);
+        
+        for (let pos = from; pos <= to; pos += hop) {
+            const frameStart = Math.floor(pos - frameSize / 2);
+            let energy = 0;
+            for (let i = frameStart; i < frameStart + frameSize; i++) {
+                energy += data[i] * data[i];
+            }
+            frames.push({ pos: Math.round(pos), energy });
+        }
+        
+        let best = center;
+        if (frames.length > 0) {
+            const minEnergy = Math.min(...frames.map(f => f.energy));
+            best = frames
+                .filter(f => f.energy <= minEnergy * 1.05 + 1e-12)
+                .reduce((a, b) => (Math.abs(b.pos - center) < Math.abs(a.pos - center) ? b : a)).pos;
+        }
+        
+        // 2. Passage par zéro le plus proche dans la trame retenue
+        for (let d = 0; d <= frameSize / 2; d++) {
+            for (const i of [best + d, best - d]) {
+                if (i > 0 && i < data.length && (data[i - 1] < 0) !== (data[i] < 0)) {
+                    return i / sampleRate;
+                }
+            }
+        }
+        
+        return best / sampleRate;
+    }
+    
+    /**
+     * Snap both boundaries of a segment, keeping it at least 50 ms long
+     */
+    snapBoundaries(start, end) {
+        const snappedStart = this.snapTime(start);
+        const snappedEnd = this.snapTime(end);
+        
+        if (snappedEnd - snappedStart < 0.05) {
+            return { start, end };
+        }
+        return { start: snappedStart, end: snappedEnd };
+    }
+    
+    /**
+     * Snap the boundaries of every existing segment (one undo step)
+     */
+    snapAllSegments() {
+        if (!this.audioBuffer) {
+            this.showToast(this.longAudio ? 'Snapping is not available in long-file mode' : 'Load an audio file first', 'info');
+            return;
+        }
+        
+        let moved = 0;
+        this.performEdit('Snap all boundaries', () => {
+            [...this.segments].forEach(seg => {
+                const bounds = this.snapBoundaries(seg.start, seg.end);
+                if (bounds.start !== seg.start || bounds.end !== seg.end) {
+                    this.applySegmentState(seg.id, { ...this.segmentState(seg), ...bounds });
+                    moved++;
+                }
+            });
+        });
+        
+        this.updateEditionPanel();
+        this.showToast(`${moved} segment(s) snapped`, moved > 0 ? 'success' : 'info');
+    }
+    
+    getDefaultSpeakerForNewSegment() {
+        // Si un filtre de locuteur est actif, utiliser ce locuteur
+        if (this.visibleSpeaker !== 'all') {
+            return parseInt(this.visibleSpeaker);
+        }
+        return this.speakerTracks.length > 0 ? this.speakerTracks[0].speakerNum : 1;
+    }
+    
+    // ========================================================================
+    // PISTES LOCUTEURS
+    // ========================================================================
+    
+    createDefaultSpeakers() {
+        for (let i = 0; i < 3; i++) {
+            this.createSpeakerTrack();
+        }
+    }
+    
+    addSpeaker() {
+        this.performEdit('Add speaker', () => this.createSpeakerTrack());
+    }
+    
+    /**
+     * Next unused speaker id, from the monotonic counter (saved with the project)
+     */
+    allocateSpeakerId() {
+        this.reserveSpeakerIds(this.speakerTracks.map(t => t.speakerNum));
+        return this.nextSpeakerId++;
+    }
+    
+    /**
+     * Keep the counter above ids that came from elsewhere (imports, undo)
+     */
+    reserveSpeakerIds(ids) {
+        this.nextSpeakerId = Math.max(this.nextSpeakerId, ...ids.map(id => id + 1));
+    }
+    
+    /**
+     * Create a track with a new persistent id (ids are never renumbered,
+     * the display order is the order of speakerTracks)
+     */
+    createSpeakerTrack() {
+        const speakerNum = this.allocateSpeakerId();
+        const color = this.speakerColors[(speakerNum - 1) % this.speakerColors.length];
+        
+        const track = new SpeakerTrack(speakerNum, color, this);
+        this.speakerTracks.push(track);
+        
+        // Si audio déjà chargé, afficher les pics partagés dans cette piste
+        if (this.getTrackPeaks()) {
+            track.loadPeaks(this.getTrackPeaks());
+        }
+        
+        // Mettre à jour le select et les boutons radio
+        this.updateSpeakerSelect();
+        this.updateSpeakerFilterButtons();
+        
+        return track;
+    }
+    
+    renameSpeaker(speakerNum, name) {
+        const track = this.speakerTracks.find(t => t.speakerNum === speakerNum);
+        if (!track || track.name === name) return;
+        
+        this.performEdit(`Rename speaker to "${name}"`, () => {
+            track.name = name;
+        });
+        
+        this.updateSpeakerSelect();
+        this.updateSpeakerFilterButtons();
+        if (this.selectedSegment) {
+            document.getElementById('speakerSelect').value = this.selectedSegment.speaker;
+        }
+    }
+    
+    /**
+     * Remove a speaker track; its segments are deleted, or reassigned to
+     * another speaker (which amounts to merging the two speakers)
+     * @param {number} speakerNum
+     * @param {number|null} [reassignTo=null] - Speaker receiving the segments
+     */
+    removeSpeaker(speakerNum, reassignTo = null) {
+        const track = this.speakerTracks.find(t => t.speakerNum === speakerNum);
+        if (!track) return;
+        
+        const target = reassignTo !== null ? this.speakerTracks.find(t => t.speakerNum === reassignTo) : null;
+        const actionName = target ? `Merge ${track.name} into ${target.name}` : `Remove ${track.name}`;
+        
+        this.performEdit(actionName, () => {
+            this.segments
+                .filter(s => s.speaker === speakerNum)
+                .forEach(seg => {
+                    this.applySegmentState(seg.id, target ? { ...this.segmentState(seg), speaker: target.speakerNum } : null);
+                });
+            
+            // Détruire la piste (les autres gardent leur identifiant)
+            track.destroy();
+            this.speakerTracks.splice(this.speakerTracks.indexOf(track), 1);
+            
+            this.updateSpeakerSelect();
+            this.updateSpeakerFilterButtons();
+        });
+        
+        if (String(this.visibleSpeaker) === String(speakerNum)) {
+            document.querySelector('input[name="speakerFilter"][value="all"]').checked = true;
+            this.filterSegmentsBySpeaker('all');
+        }
+        
+        if (this.selectedSegment && !this.segments.includes(this.selectedSegment)) {
+            this.closeEditor();
+        } else {
+            this.updateEditionPanel();
+            this.renderSelection();
+        }
+        
+        this.showToast(actionName, 'info');
+    }
+    
+    mergeSpeakers(fromSpeaker, intoSpeaker) {
+        this.removeSpeaker(fromSpeaker, intoSpeaker);
+    }
+    
+    /**
+     * Move a speaker track to another position in the display order
+     */
+    moveSpeaker(speakerNum, newIndex) {
+        const index = this.speakerTracks.findIndex(t => t.speakerNum === speakerNum);
+        if (index === -1 || index === newIndex) return;
+        
+        this.performEdit('Reorder speakers', () => {
+            const [track] = this.speakerTracks.splice(index, 1);
+            this.speakerTracks.splice(newIndex, 0, track);
+            
+            const container = document.getElementById('speakersContainer');
+            this.speakerTracks.forEach(t => container.appendChild(t.container));
+        });
+        
+        this.updateSpeakerSelect();
+        this.updateSpeakerFilterButtons();
+        this.updateEditionPanel();
+    }
+    
+    /**
+     * Ask what to do with the segments of a speaker before removing it
+     * @param {number} speakerNum
+     * @param {'remove'|'merge'} mode - 'merge' only offers reassignment
+     */
+    openSpeakerRemoveModal(speakerNum, mode = 'remove') {
+        const track = this.speakerTracks.find(t => t.speakerNum === speakerNum);
+        if (!track) return;
+        
+        const others = this.speakerTracks.filter(t => t !== track);
+        if (mode === 'merge' && others.length === 0) {
+            this.showToast('No other speaker to merge into', 'info');
+            return;
+        }
+        
+        const count = this.segments.filter(s => s.speaker === speakerNum).length;
+        document.getElementById('speakerRemoveTitle').textContent = mode === 'merge'
+            ? `⤵ Merge ${track.name}`
+            : `🗑 Remove ${track.name}`;
+        document.getElementById('speakerRemoveMessage').textContent = mode === 'merge'
+            ? `Move the ${count} segment(s) of ${track.name} to:`
+            : `${track.name} has ${count} segment(s). Reassign them to:`;
+        
+        const select = document.getElementById('speakerReassignTarget');
+        select.innerHTML = '';
+        if (mode === 'remove') {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = '— nobody (delete the segments) —';
+            select.appendChild(option);
+        }
+        others.forEach(t => {
+            const option = document.createElement('option');
+            option.value = t.speakerNum;
+            option.textContent = t.name;
+            select.appendChild(option);
+        });
+        
+        this.pendingSpeakerRemoval = speakerNum;
+        document.getElementById('speakerRemoveModal').classList.add('active');
+    }
+    
+    closeSpeakerRemoveModal() {
+        this.pendingSpeakerRemoval = null;
+        document.getElementById('speakerRemoveModal').classList.remove('active');
+    }
+    
+    updateSpeakerSelect() {
+        const select = document.getElementById('speakerSelect');
+        select.innerHTML = '';
+        
+        this.speakerTracks.forEach(track => {
+            const option = document.createElement('option');
+            option.value = track.speakerNum;
+            option.textContent = track.name;
+            select.appendChild(option);
+        });
+    }
+    
+    updateSpeakerFilterButtons() {
+        const container = document.getElementById('speakerRadioButtons');
+        container.innerHTML = '';
+        
+        this.speakerTracks.forEach(track => {
+            const label = document.createElement('label');
+            label.className = `radio-pill spk${track.speakerNum}`;
+            
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'speakerFilter';
+            input.value = track.speakerNum;
+            
+            const span = document.createElement('span');
+            span.textContent = track.name;
+            
+            label.appendChild(input);
+            label.appendChild(span);
+            container.appendChild(label);
+            
+            input.addEventListener('change', () => {
+                this.filterSegmentsBySpeaker(track.speakerNum);
+            });
+        });
+    }
+    
+    filterSegmentsBySpeaker(speakerNum) {
+        this.visibleSpeaker = speakerNum;
+        
+        // Parcourir toutes les régions sur le master
+        const regions = this.masterRegions.getRegions();
+        
+        regions.forEach(region => {
+            const segment = this.segments.find(s => s.id === region.id);
+            if (segment) {
+                if (speakerNum === 'all' || segment.speaker === parseInt(speakerNum)) {
+                    region.element.style.display = 'block';
+                } else {
+                    region.element.style.display = 'none';
+                }
+            }
+        });
+        
+        const label = speakerNum === 'all' ? 'all speakers' : `Speaker ${speakerNum}`;
+        this.showToast(`Showing: ${label}`, 'info');
+    }
+    
+    // ========================================================================
+    // GESTION DES SEGMENTS
+    // ========================================================================
+    
+    createSegment(start, end, speakerNum, transcription = '', id = null) {
+        id = id || `seg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        
+        const segment = {
+            id,
+            start,
+            end,
+            speaker: speakerNum,
+            transcription,
+            color: this.speakerColors[(speakerNum - 1) % this.speakerColors.length]
+        };
+        
+        this.segments.push(segment);
+        
+        // Créer région sur master
+        this.masterRegions.addRegion({
+            id,
+            start,
+            end,
+            color: segment.color.bg,
+            drag: true,
+            resize: true
+        });
+        
+        // Ajouter sur piste locuteur
+        const track = this.speakerTracks.find(t => t.speakerNum === speakerNum);
+        if (track) {
+            track.addSegment(segment);
+        }
+        
+        return segment;
+    }
+    
+    selectSegmentByRegion(region, event) {
+        event.stopPropagation();
+        const segment = this.segments.find(s => s.id === region.id);
+        if (!segment) return;
+        
+        if (event.ctrlKey || event.metaKey) {
+            this.toggleSegmentInSelection(segment);
+        } else if (event.shiftKey && this.selectedSegment) {
+            this.selectSegmentRange(this.selectedSegment, segment);
+        } else {
+            this.selectSegment(segment);
+        }
+    }
+    
+    /**
+     * Make a segment the active one
+     * @param {Object} segment
+     * @param {boolean} [keepSelection=false] - Keep the other selected segments
+     */
+    selectSegment(segment, keepSelection = false) {
+        this.selectedSegment = segment;
+        
+        if (!keepSelection) {
+            this.selectedIds = new Set();
+        }
+        this.selectedIds.add(segment.id);
+        this.renderSelection();
+        
+        // Mettre à jour UI
+        this.updateEditionPanel();
+        
+        // Afficher le panel d'édition
+        document.getElementById('editionPanel').classList.remove('hidden');
+        
+        // Focus automatique dans l'input de transcription
+        setTimeout(() => {
+            document.getElementById('transcriptionInput').focus();
+        }, 100);
+        
+        // Highlight visuel
+        this.highlightSegment(segment.id);
+    }
+    
+    /**
+     * Refresh time info, speaker and text of the edition panel from selectedSegment
+     */
+    updateEditionPanel() {
+        const segment = this.selectedSegment;
+        if (!segment) return;
+        
+        // Ne pas écraser un champ en cours de saisie
+        [['segmentStartInput', segment.start], ['segmentEndInput', segment.end]].forEach(([id, value]) => {
+            const field = document.getElementById(id);
+            if (document.activeElement !== field) {
+                field.value = value.toFixed(3);
+            }
+        });
+        document.getElementById('segmentDuration').textContent = 
+            `${this.formatTime(segment.start)} → ${this.formatTime(segment.end)} (${(segment.end - segment.start).toFixed(2)}s)`;
+        
+        document.getElementById('speakerSelect').value = segment.speaker;
+        document.getElementById('segmentStatus').value = segment.status || '';
+        
+        const input = document.getElementById('transcriptionInput');
+        if (input.value !== (segment.transcription || '')) {
+            input.value = segment.transcription || '';
+        }
+    }
+    
+    highlightSegment(segmentId) {
+        // Retirer highlights existants
+        document.querySelectorAll('.segment-highlighted').forEach(el => {
+            el.classList.remove('segment-highlighted');
+        });
+        
+        if (!segmentId) return;
+        
+        // Ajouter highlight
+        const regions = this.masterRegions.getRegions();
+        const masterRegion = regions.find(r => r.id === segmentId);
+        if (masterRegion && masterRegion.element) {
+            masterRegion.element.classList.add('segment-highlighted');
+        }
+    }
+    
+    openInlineEditor(region) {
+        const segment = this.segments.find(s => s.id === region.id);
+        if (segment) {
+            this.selectSegment(segment);
+            document.getElementById('transcriptionInput').select();
+        }
+    }
+    
+    saveTranscription(silent = false) {
+        if (!this.selectedSegment) return;
+        
+        const segment = this.selectedSegment;
+        const text = document.getElementById('transcriptionInput').value;
+        
+        if (text !== (segment.transcription || '')) {
+            // Les frappes successives dans un même segment forment une seule entrée
+            this.performEdit('Edit transcription', () => {
+                segment.transcription = text;
+            }, { coalesceKey: `text:${segment.id}` });
+            
+            // Mettre à jour visuel sur piste locuteur
+            const track = this.speakerTracks.find(t => t.speakerNum === segment.speaker);
+            if (track) {
+                track.updateSegmentVisual(segment);
+            }
+        }
+        
+        if (!silent) {
+            this.showToast('Transcription saved', 'success');
+        }
+    }
+    
+    deleteSegment() {
+        if (!this.selectedSegment) return;
+        
+        const edit = this.beginEdit('Delete segment');
+        const id = this.selectedSegment.id;
+        
+        // Retirer du tableau
+        this.segments = this.segments.filter(s => s.id !== id);
+        
+        // Retirer de master
+        const regions = this.masterRegions.getRegions();
+        const masterRegion = regions.find(r => r.id === id);
+        if (masterRegion) {
+            masterRegion.remove();
+        }
+        
+        // Retirer de piste locuteur
+        const track = this.speakerTracks.find(t => t.speakerNum === this.selectedSegment.speaker);
+        if (track) {
+            track.removeSegment(id);
+        }
+        
+        this.commitEdit(edit);
+        this.closeEditor();
+        this.showToast('Segment deleted', 'info');
+    }
+    
+    closeEditor() {
+        this.selectedSegment = null;
+        this.selectedIds = new Set();
+        document.getElementById('editionPanel').classList.add('hidden');
+        this.highlightSegment(null);
+        this.renderSelection();
+    }
+    
+    // ========================================================================
+    // MULTI-SÉLECTION ET OPÉRATIONS GROUPÉES
+    // ========================================================================
+    
+    /**
+     * Selected segments in time order (the active segment alone if no multi-selection)
+     */
+    getSelectedSegments() {
+        return this.segments
+            .filter(s => this.selectedIds.has(s.id))
+            .sort((a, b) => a.start - b.start);
+    }
+    
+    /**
+     * Ctrl/Cmd-click: add or remove a segment from the selection
+     */
+    toggleSegmentInSelection(segment) {
+        if (!this.selectedIds.has(segment.id)) {
+            this.selectSegment(segment, true);
+            return;
+        }
+        
+        this.selectedIds.delete(segment.id);
+        
+        if (this.selectedSegment === segment) {
+            const remaining = this.getSelectedSegments();
+            if (remaining.length > 0) {
+                this.selectSegment(remaining[remaining.length - 1], true);
+            } else {
+                this.closeEditor();
+            }
+        } else {
+            this.renderSelection();
+        }
+    }
+    
+    /**
+     * Shift-click: select every visible segment starting between two segments
+     */
+    selectSegmentRange(from, to) {
+        const lo = Math.min(from.start, to.start);
+        const hi = Math.max(from.start, to.start);
+        
+        this.selectedIds = new Set(this.getVisibleSegments()
+            .filter(s => s.start >= lo && s.start <= hi)
+            .map(s => s.id));
+        this.selectSegment(to, true);
+    }
+    
+    /**
+     * Shift-drag on the master track: select every visible segment overlapping a time range
+     */
+    selectTimeRange(start, end) {
+        const inRange = this.getVisibleSegments()
+            .filter(s => s.end > start && s.start < end)
+            .sort((a, b) => a.start - b.start);
+        
+        if (inRange.length === 0) {
+            this.showToast('No segment in this range', 'info');
+            return;
+        }
+        
+        this.selectedIds = new Set(inRange.map(s => s.id));
+        this.selectSegment(inRange[0], true);
+        this.showToast(`${inRange.length} segment(s) selected`, 'info');
+    }
+    
+    getVisibleSegments() {
+        return this.segments.filter(s => this.visibleSpeaker === 'all' || s.speaker === parseInt(this.visibleSpeaker));
+    }
+    
+    /**
+     * Outline selected regions (master and speaker tracks) and refresh the selection bar
+     */
+    renderSelection() {
+        // Oublier les segments supprimés entre-temps
+        this.selectedIds = new Set([...this.selectedIds].filter(id => this.segments.some(s => s.id === id)));
+        
+        const regions = [...this.masterRegions.getRegions()];
+        this.speakerTracks.forEach(track => {
+            if (track.regions) regions.push(...track.regions.getRegions());
+        });
+        
+        const multi = this.selectedIds.size > 1;
+        regions.forEach(region => {
+            if (region.element) {
+                region.element.style.outline = multi && this.selectedIds.has(region.id) ? '2px dashed #2c5aa0' : '';
+            }
+        });
+        
+        const panel = document.getElementById('selectionPanel');
+        if (!panel) return;
+        panel.classList.toggle('hidden', !multi);
+        
+        if (multi) {
+            document.getElementById('selectionCount').textContent = `${this.selectedIds.size} segments selected`;
+            
+            const select = document.getElementById('bulkSpeakerSelect');
+            select.innerHTML = '';
+            this.speakerTracks.forEach(track => {
+                const option = document.createElement('option');
+                option.value = track.speakerNum;
+                option.textContent = track.name;
+                select.appendChild(option);
+            });
+        }
+    }
+    
+    bulkAssignSpeaker(speakerNum) {
+        const selection = this.getSelectedSegments();
+        const track = this.speakerTracks.find(t => t.speakerNum === speakerNum);
+        
+        this.performEdit(`Assign ${selection.length} segments to ${track ? track.name : `Speaker ${speakerNum}`}`, () => {
+            selection.forEach(seg => {
+                this.applySegmentState(seg.id, { ...this.segmentState(seg), speaker: speakerNum });
+            });
+        });
+        
+        this.updateEditionPanel();
+        this.renderSelection();
+    }
+    
+    bulkDelete() {
+        const selection = this.getSelectedSegments();
+        if (selection.length === 0) return;
+        
+        this.performEdit(`Delete ${selection.length} segments`, () => {
+            selection.forEach(seg => this.applySegmentState(seg.id, null));
+        });
+        
+        this.closeEditor();
+        this.showToast(`${selection.length} segments deleted`, 'info');
+    }
+    
+    /**
+     * Move the selection in time; the offset is clamped so that no segment leaves the audio
+     */
+    bulkShift(offset) {
+        const selection = this.getSelectedSegments();
+        if (selection.length === 0 || !offset) return;
+        
+        const duration = this.masterWave?.getDuration() || Infinity;
+        const minStart = Math.min(...selection.map(s => s.start));
+        const maxEnd = Math.max(...selection.map(s => s.end));
+        const applied = Math.max(-minStart, Math.min(duration - maxEnd, offset));
+        
+        this.performEdit(`Shift ${selection.length} segments by ${applied.toFixed(3)}s`, () => {
+            selection.forEach(seg => {
+                this.applySegmentState(seg.id, {
+                    ...this.segmentState(seg),
+                    start: seg.start + applied,
+                    end: seg.end + applied
+                });
+            });
+        });
+        
+        this.updateEditionPanel();
+        this.renderSelection();
+        if (applied !== offset) {
+            this.showToast(`Offset limited to ${applied.toFixed(3)}s (audio bounds)`, 'info');
+        }
+    }
+    
+    /**
+     * Set (or clear, with an empty tag) the status tag of the selected segments
+     */
+    bulkSetStatus(status) {
+        const selection = this.getSelectedSegments();
+        if (selection.length === 0) return;
+        
+        const label = status ? `Set status "${status}"` : 'Clear status';
+        this.performEdit(selection.length > 1 ? `${label} on ${selection.length} segments` : label, () => {
+            selection.forEach(seg => {
+                this.applySegmentState(seg.id, { ...this.segmentState(seg), status });
+            });
+        });
+        
+        this.updateEditionPanel();
+        this.renderSelection();
+    }
+    
+    mergeSelection() {
+        const selection = this.getSelectedSegments();
+        const speakers = new Set(selection.map(s => s.speaker));
+        if (selection.length === speakers.size) {
+            this.showToast('Select at least two segments of the same speaker', 'info');
+            return;
+        }
+        
+        this.saveTranscription(true);
+        const kept = this.performEdit('Merge selection', () => this.mergeSegments(selection));
+        
+        this.selectedIds = new Set(kept.map(s => s.id));
+        this.renderSelection();
+        this.showToast(`${selection.length} segments merged into ${kept.length}`, 'success');
+    }
+    
+    /**
+     * Play the selected segments one after the other; with loop on, the
+     * whole selection starts again (see region-out handler)
+     */
+    playSelection() {
+        const regions = this.getSelectedSegments()
+            .map(seg => this.masterRegions.getRegions().find(r => r.id === seg.id))
+            .filter(r => r);
+        if (regions.length === 0) return;
+        
+        this.playList = regions.slice();
+        const first = regions.shift();
+        this.playQueue = regions;
+        this.isPlayingSegment = true;
+        this.activeRegion = first;
+        first.play();
+    }
+    
+    moveSegmentToSpeaker(direction) {
+        if (!this.selectedSegment) return;
+        
+        // Déplacement selon l'ordre d'affichage des pistes
+        const currentSpeaker = this.selectedSegment.speaker;
+        const index = this.speakerTracks.findIndex(t => t.speakerNum === currentSpeaker);
+        const newIndex = Math.max(0, Math.min(this.speakerTracks.length - 1, index + direction));
+        const newSpeaker = this.speakerTracks[newIndex].speakerNum;
+        
+        if (newSpeaker !== currentSpeaker) {
+            const newTrack = this.setSegmentSpeaker(this.selectedSegment, newSpeaker);
+            this.showToast(`Assigned to ${newTrack.name}`, 'info');
+        }
+    }
+    
+    /**
+     * Reassign a segment to another speaker (undoable)
+     * @returns {SpeakerTrack} the new track
+     */
+    setSegmentSpeaker(segment, newSpeaker) {
+        const newTrack = this.speakerTracks.find(t => t.speakerNum === newSpeaker);
+        if (segment.speaker === newSpeaker) return newTrack;
+        
+        this.performEdit(`Assign to ${newTrack ? newTrack.name : `Speaker ${newSpeaker}`}`, () => {
+            // Retirer de l'ancienne piste
+            const oldTrack = this.speakerTracks.find(t => t.speakerNum === segment.speaker);
+            if (oldTrack) {
+                oldTrack.removeSegment(segment.id);
+            }
+            
+            // Changer le speaker
+            segment.speaker = newSpeaker;
+            segment.color = this.speakerColors[(newSpeaker - 1) % this.speakerColors.length];
+            
+            // Ajouter à la nouvelle piste
+            if (newTrack) {
+                newTrack.addSegment(segment);
+            }
+            
+            // Mettre à jour couleur sur master
+            const regions = this.masterRegions.getRegions();
+            const masterRegion = regions.find(r => r.id === segment.id);
+            if (masterRegion) {
+                masterRegion.setOptions({ color: segment.color.bg });
+            }
+        });
+        
+        // Mettre à jour UI
+        if (this.selectedSegment === segment) {
+            document.getElementById('speakerSelect').value = newSpeaker;
+        }
+        
+        return newTrack;
+    }
+    
+    onRegionUpdated(region) {
+        const segment = this.segments.find(s => s.id === region.id);
+        if (segment) {
+            let start = region.start;
+            let end = region.end;
+            
+            // Aimanter la frontière redimensionnée (pas les déplacements de tout le segment)
+            if (this.snapEnabled) {
+                const startMoved = start !== segment.start;
+                const endMoved = end !== segment.end;
+                if (startMoved !== endMoved) {
+                    const snapped = startMoved ? this.snapTime(start) : this.snapTime(end);
+                    if (startMoved && end - snapped >= 0.05) start = snapped;
+                    if (endMoved && snapped - start >= 0.05) end = snapped;
+                    region.setOptions({ start, end });
+                }
+            }
+            
+            // Les ajustements successifs d'un même segment forment une seule entrée
+            this.performEdit('Move/resize segment', () => {
+                segment.start = start;
+                segment.end = end;
+            }, { coalesceKey: `retime:${segment.id}` });
+            
+            // Répercuter sur l'autre vue (master ou piste locuteur, selon la source)
+            const masterRegion = this.masterRegions.getRegions().find(r => r.id === segment.id);
+            if (masterRegion && (masterRegion.start !== start || masterRegion.end !== end)) {
+                masterRegion.setOptions({ start, end });
+            }
+            
+            const track = this.speakerTracks.find(t => t.speakerNum === segment.speaker);
+            if (track) {
+                track.updateSegmentPosition(segment);
+            }
+            
+            // Mettre à jour l'info si sélectionné
+            if (this.selectedSegment && this.selectedSegment.id === segment.id) {
+                this.updateEditionPanel();
+            }
+        }
+    }
+    
+    /**
+     * Set new boundaries on a segment (master region, speaker track, undo history).
+     * Repeated changes on the same segment within a few seconds form one undo step,
+     * unless `coalesce` is false (nudges and set-to-playhead are undone one by one).
+     * @returns {boolean} false if the boundaries are invalid
+     */
+    setSegmentBounds(segment, start, end, actionName = 'Edit boundaries', coalesce = true) {
+        const duration = this.masterWave?.getDuration() || Infinity;
+        start = Math.max(0, start);
+        end = Math.min(duration, end);
+        
+        if (!(end - start >= 0.01)) {
+            this.showToast('Start must be before end', 'danger');
+            this.updateEditionPanel();
+            return false;
+        }
+        
+        this.performEdit(actionName, () => {
+            this.applySegmentState(segment.id, { ...this.segmentState(segment), start, end });
+        }, { coalesceKey: coalesce ? `retime:${segment.id}` : null });
+        
+        this.updateEditionPanel();
+        return true;
+    }
+    
+    /**
+     * Move the start (or end) of the selected segment by a number of seconds
+     */
+    nudgeBoundary(boundary, delta) {
+        const segment = this.selectedSegment;
+        if (!segment) return;
+        
+        // Arrondi à la milliseconde pour éviter la dérive des flottants
+        const round = (t) => Math.round(t * 1000) / 1000;
+        const start = boundary === 'start' ? round(segment.start + delta) : segment.start;
+        const end = boundary === 'end' ? round(segment.end + delta) : segment.end;
+        this.setSegmentBounds(segment, start, end, `Nudge ${boundary}`, false);
+    }
+    
+    /**
+     * Move the start (or end) of the selected segment to the playhead
+     */
+    setBoundaryToPlayhead(boundary) {
+        const segment = this.selectedSegment;
+        if (!segment) return;
+        
+        const time = this.masterWave.getCurrentTime();
+        const start = boundary === 'start' ? time : segment.start;
+        const end = boundary === 'end' ? time : segment.end;
+        this.setSegmentBounds(segment, start, end, `Set ${boundary} to playhead`, false);
+    }
+    
+    /**
+     * Cut the selected segment at the playhead into two segments of the same speaker.
+     * The text is cut at the caret of transcriptionInput when it sits inside the text,
+     * otherwise at the word boundary nearest to the time ratio.
+     */
+    splitSegment() {
+        if (!this.selectedSegment) return;
+        
+        const segment = this.selectedSegment;
+        const time = this.masterWave.getCurrentTime();
+        const minDuration = 0.05;
+        
+        if (time <= segment.start + minDuration || time >= segment.end - minDuration) {
+            this.showToast('Place the playhead inside the selected segment to split it', 'info');
+            return;
+        }
+        
+        // Le texte en cours de saisie est coupé dans la même entrée d'historique
+        const input = document.getElementById('transcriptionInput');
+        const text = input.value;
+        const caret = input.selectionStart;
+        const cut = (caret > 0 && caret < text.length)
+            ? caret
+            : this.findSplitPosition(text, (time - segment.start) / (segment.end - segment.start));
+        
+        const left = text.slice(0, cut).trim();
+        const right = text.slice(cut).trim();
+        const end = segment.end;
+        
+        this.performEdit('Split segment', () => {
+            segment.end = time;
+            segment.transcription = left;
+            
+            const masterRegion = this.masterRegions.getRegions().find(r => r.id === segment.id);
+            if (masterRegion) {
+                masterRegion.setOptions({ end: time });
+            }
+            
+            const track = this.speakerTracks.find(t => t.speakerNum === segment.speaker);
+            if (track) {
                 track.updateSegmentPosition(segment);
+                track.updateSegmentVisual(segment);
+            }
+            
+            this.createSegment(time, end, segment.speaker, right);
+        });
+        
+        this.updateEditionPanel();
+        this.showToast(`Segment split at ${this.formatTime(time)}`, 'success');
+    }
+    
+    /**
+     * Word boundary (index in text) closest to a relative position 0..1
+     */
+    findSplitPosition(text, ratio) {
+        const target = ratio * text.length;
+        let best = text.length;
+        let bestDistance = Infinity;
+        
+        const boundary = /\s+/g;
+        let match;
+        while ((match = boundary.exec(text)) !== null) {
+            const distance = Math.abs(match.index - target);
+            if (distance < bestDistance) {
+                best = match.index;
+                bestDistance = distance;
+            }
+        }
+        
+        // Pas d'espace : tout le texte reste dans la première partie
+        return best;
+    }
+    
+    /**
+     * Merge the selected segment with its previous (-1) or next (+1) neighbour
+     * on the same speaker track
+     */
+    mergeWithNeighbour(direction) {
+        if (!this.selectedSegment) return;
+        
+        const segment = this.selectedSegment;
+        const sameSpeaker = this.segments
+            .filter(s => s.speaker === segment.speaker)
+            .sort((a, b) => a.start - b.start);
+        const neighbour = sameSpeaker[sameSpeaker.indexOf(segment) + direction];
+        
+        if (!neighbour) {
+            this.showToast(`No ${direction < 0 ? 'previous' : 'next'} segment for this speaker`, 'info');
+            return;
+        }
+        
+        this.saveTranscription(true);
+        this.performEdit('Merge segments', () => this.mergeSegments([segment, neighbour]));
+        this.showToast('Segments merged', 'success');
+    }
+    
+    /**
+     * Merge every segment of a list into one per speaker (call inside performEdit).
+     * The earliest segment is kept and stretched, the others are removed.
+     * @param {Array<Object>} segments
+     * @returns {Array<Object>} the kept segments
+     */
+    mergeSegments(segments) {
+        const separator = document.getElementById('mergeSeparator')?.value ?? ' ';
+        const bySpeaker = new Map();
+        
+        segments.forEach(seg => {
+            if (!bySpeaker.has(seg.speaker)) bySpeaker.set(seg.speaker, []);
+            bySpeaker.get(seg.speaker).push(seg);
+        });
+        
+        const kept = [];
+        
+        bySpeaker.forEach((group, speakerNum) => {
+            if (group.length < 2) return;
+            group.sort((a, b) => a.start - b.start);
+            
+            const target = group[0];
+            const others = group.slice(1);
+            const track = this.speakerTracks.find(t => t.speakerNum === speakerNum);
+            
+            target.end = Math.max(...group.map(s => s.end));
+            target.transcription = group
+                .map(s => (s.transcription || '').trim())
+                .filter(t => t)
+                .join(separator);
+            
+            // Retirer les segments absorbés
+            const removedIds = new Set(others.map(s => s.id));
+            this.segments = this.segments.filter(s => !removedIds.has(s.id));
+            this.masterRegions.getRegions()
+                .filter(r => removedIds.has(r.id))
+                .forEach(r => r.remove());
+            if (track) {
+                others.forEach(s => track.removeSegment(s.id));
+            }
+            
+            const masterRegion = this.masterRegions.getRegions().find(r => r.id === target.id);
+            if (masterRegion) {
+                masterRegion.setOptions({ end: target.end });
+            }
+            if (track) {
+                track.updateSegmentPosition(target);
+                track.updateSegmentVisual(target);
+            }
+            
+            kept.push(target);
+        });
+        
+        if (this.selectedSegment && !this.segments.includes(this.selectedSegment)) {
+            const replacement = kept.find(s => s.speaker === this.selectedSegment.speaker);
+            if (replacement) {
+                this.selectedSegment = replacement;
+                this.highlightSegment(replacement.id);
+            } else {
+                this.closeEditor();
+            }
+        }
+        this.updateEditionPanel();
+        
+        return kept;
+    }
+    
+    /**
+     * Merge consecutive segments of the same speaker separated by less than maxGap seconds
+     */
+    mergeAllByGap(maxGap) {
+        const edit = this.beginEdit(`Merge segments closer than ${maxGap}s`);
+        let merged = 0;
+        
+        this.speakerTracks.forEach(track => {
+            const sorted = this.segments
+                .filter(s => s.speaker === track.speakerNum)
+                .sort((a, b) => a.start - b.start);
+            
+            // Regrouper les segments en chaînes séparées par des pauses courtes
+            let chain = [];
+            const flush = () => {
+                if (chain.length > 1) {
+                    this.mergeSegments(chain);
+                    merged += chain.length - 1;
+                }
+            };
+            
+            sorted.forEach(seg => {
+                const last = chain[chain.length - 1];
+                if (last && seg.start - Math.max(...chain.map(s => s.end)) >= maxGap) {
+                    flush();
+                    chain = [];
+                }
+                chain.push(seg);
+            });
+            flush();
+        });
+        
+        this.commitEdit(edit);
+        return merged;
+    }
+    
+    openMergeModal() {
+        document.getElementById('mergeModal').classList.add('active');
+    }
+    
+    closeMergeModal() {
+        document.getElementById('mergeModal').classList.remove('active');
+    }
+    
+    redrawAllSegments() {
+        // Vider master
+        this.masterRegions.clearRegions();
+        
+        // Vider pistes
+        this.speakerTracks.forEach(t => t.clearSegments());
+        
+        // Redessiner
+        this.segments.forEach(seg => {
+            this.masterRegions.addRegion({
+                id: seg.id,
+                start: seg.start,
+                end: seg.end,
+                color: seg.color.bg,
+                drag: true,
+                resize: true
+            });
+            
+            const track = this.speakerTracks.find(t => t.speakerNum === seg.speaker);
+            if (track) {
+                track.addSegment(seg);
+            }
+        });
+    }
+    
+    // ========================================================================
+    // LECTURE EN BOUCLE DU SEGMENT
+    // ========================================================================
+    
+    playSelectedSegment() {
+        if (!this.selectedSegment) return;
+        
+        const regions = this.masterRegions.getRegions();
+        const region = regions.find(r => r.id === this.selectedSegment.id);
+        
+        if (region) {
+            this.isPlayingSegment = true;
+            this.playQueue = [];
+            this.playList = [];
+            this.activeRegion = region;
+            region.play();
+        }
+    }
+    
+    toggleLoop() {
+        this.loopEnabled = !this.loopEnabled;
+        document.getElementById('loopToggle').checked = this.loopEnabled;
+        this.showToast(this.loopEnabled ? 'Boucle activée' : 'Boucle désactivée', 'info');
+    }
+    
+    // ========================================================================
+    // SEGMENTATION À LA VOLÉE
+    // ========================================================================
+    
+    toggleMarking() {
+        if (!this.isMarking) {
+            // Début du marquage
+            this.markStartTime = this.masterWave.getCurrentTime();
+            this.isMarking = true;
+            this.showToast(`Start marked at ${this.formatTime(this.markStartTime)}`, 'info');
+        } else {
+            // Fin du marquage
+            const endTime = this.masterWave.getCurrentTime();
+            
+            if (endTime > this.markStartTime) {
+                // Créer segment (locuteur selon filtre actif ou 1 par défaut)
+                const speakerNum = this.getDefaultSpeakerForNewSegment();
+                const bounds = this.snapEnabled
+                    ? this.snapBoundaries(this.markStartTime, endTime)
+                    : { start: this.markStartTime, end: endTime };
+                this.performEdit('Create segment (S key)', () => {
+                    this.createSegment(bounds.start, bounds.end, speakerNum);
+                });
+                this.showToast('Segment created!', 'success');
+            }
+            
+            this.isMarking = false;
+            this.markStartTime = null;
+        }
+    }
+    
+    // ========================================================================
+    // RECHERCHE ET REMPLACEMENT
+    // ========================================================================
+    
+    toggleFindPanel() {
+        const panel = document.getElementById('findPanel');
+        panel.classList.toggle('hidden');
+        
+        if (!panel.classList.contains('hidden')) {
+            const scope = document.getElementById('findSpeaker');
+            const current = scope.value;
+            scope.innerHTML = '<option value="all">All speakers</option>';
+            this.speakerTracks.forEach(track => {
+                const option = document.createElement('option');
+                option.value = track.speakerNum;
+                option.textContent = track.name;
+                scope.appendChild(option);
+            });
+            scope.value = [...scope.options].some(o => o.value === current) ? current : 'all';
+            
+            document.getElementById('findInput').focus();
+            this.runFind();
+        }
+    }
+    
+    /**
+     * Read search options from the find panel
+     * @returns {{regex: RegExp, replacement: string, diacriticSensitive: boolean,
+     *           speaker: string, from: number, to: number}|null}
+     */
+    getFindOptions() {
+        const query = document.getElementById('findInput').value;
+        if (!query) return null;
+        
+        const useRegex = document.getElementById('findRegex').checked;
+        const caseSensitive = document.getElementById('findCase').checked;
+        const diacriticSensitive = document.getElementById('findDiacritics').checked;
+        
+        let source = useRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (!diacriticSensitive) {
+            source = this.foldDiacritics(source).text;
+        }
+        
+        // "d" : indices des groupes, pour reporter $1… sur le texte d'origine
+        const regex = new RegExp(source, `gdu${caseSensitive ? '' : 'i'}`);
+        
+        const from = parseFloat(document.getElementById('findFrom').value);
+        const to = parseFloat(document.getElementById('findTo').value);
+        
+        return {
+            regex,
+            replacement: document.getElementById('replaceInput').value,
+            diacriticSensitive,
+            speaker: document.getElementById('findSpeaker').value,
+            from: isNaN(from) ? 0 : from,
+            to: isNaN(to) ? Infinity : to
+        };
+    }
+    
+    /**
+     * Remove combining marks (é → e) and keep, for each folded character,
+     * the index of the original character it comes from
+     * @returns {{text: string, map: number[]}}
+     */
+    foldDiacritics(text) {
+        let folded = '';
+        const map = [];
+        
+        for (let i = 0; i < text.length; i++) {
+            const code = text.codePointAt(i);
+            const char = String.fromCodePoint(code);
+            const base = char.normalize('NFD').replace(/\p{M}/gu, '');
+            
+            for (let j = 0; j < base.length; j++) {
+                map.push(i);
+            }
+            folded += base;
+            if (code > 0xffff) i++;
+        }
+        map.push(text.length);
+        
+        return { text: folded, map };
+    }
+    
+    /**
+     * All matches in the scoped segments, in time order
+     * @returns {Array<{segment: Object, start: number, end: number, replacement: string}>}
+     */
+    searchTranscriptions(options) {
+        const matches = [];
+        
+        const scoped = this.segments
+            .filter(s => options.speaker === 'all' || s.speaker === parseInt(options.speaker))
+            .filter(s => s.end > options.from && s.start < options.to)
+            .sort((a, b) => a.start - b.start);
+        
+        scoped.forEach(segment => {
+            const original = segment.transcription || '';
+            const folded = options.diacriticSensitive
+                ? { text: original, map: null }
+                : this.foldDiacritics(original);
+            const toOriginal = (idx) => folded.map ? folded.map[idx] : idx;
+            
+            options.regex.lastIndex = 0;
+            let match;
+            while ((match = options.regex.exec(folded.text)) !== null) {
+                if (match[0].length === 0) {
+                    // Éviter une boucle infinie sur les correspondances vides
+                    options.regex.lastIndex++;
+                    continue;
+                }
+                
+                const start = toOriginal(match.index);
+                const end = toOriginal(match.index + match[0].length);
+                matches.push({
+                    segment,
+                    start,
+                    end,
+                    replacement: this.expandReplacement(options.replacement, match, original, toOriginal)
+                });
+            }
+        });
+        
+        return matches;
+    }
+    
+    /**
+     * Expand $&, $1…$99, $<name> and $$ in a replacement string, taking
+     * group texts from the original (non-folded) transcription
+     */
+    expandReplacement(template, match, original, toOriginal) {
+        const group = (idx) => {
+            const span = match.indices[idx];
+            return span ? original.slice(toOriginal(span[0]), toOriginal(span[1])) : '';
+        };
+        
+        return template.replace(/\$(\$|&|<([^>]+)>|(\d{1,2}))/g, (token, what, name, num) => {
+            if (what === '$') return '$';
+            if (what === '&') return group(0);
+            if (name !== undefined) {
+                const span = match.indices.groups && match.indices.groups[name];
+                return span ? original.slice(toOriginal(span[0]), toOriginal(span[1])) : '';
+            }
+            const n = parseInt(num);
+            return n > 0 && n < match.length ? group(n) : token;
+        });
+    }
+    
+    /**
+     * Refresh the match list from the panel options
+     */
+    runFind() {
+        const list = document.getElementById('findResults');
+        const status = document.getElementById('findStatus');
+        list.innerHTML = '';
+        this.findMatches = [];
+        
+        let options;
+        try {
+            options = this.getFindOptions();
+        } catch (error) {
+            status.textContent = error.message;
+            return;
+        }
+        
+        if (!options) {
+            status.textContent = '';
+            this.findIndex = -1;
+            return;
+        }
+        
+        this.findMatches = this.searchTranscriptions(options);
+        this.findIndex = Math.min(this.findIndex, this.findMatches.length - 1);
+        
+        this.findMatches.forEach((m, idx) => {
+            const text = m.segment.transcription;
+            const track = this.speakerTracks.find(t => t.speakerNum === m.segment.speaker);
+            
+            const item = document.createElement('li');
+            const time = document.createElement('span');
+            time.className = 'find-time';
+            time.textContent = `${this.formatTime(m.segment.start)} ${track ? track.name : ''}`;
+            
+            const context = document.createElement('span');
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(m.start, m.end);
+            context.append(
+                (m.start > 30 ? '…' : '') + text.slice(Math.max(0, m.start - 30), m.start),
+                mark,
+                text.slice(m.end, m.end + 30) + (m.end + 30 < text.length ? '…' : '')
+            );
+            
+            item.append(time, context);
+            item.addEventListener('click', () => this.goToMatch(idx));
+            list.appendChild(item);
+        });
+        
+        this.updateFindStatus();
+    }
+    
+    updateFindStatus() {
+        const status = document.getElementById('findStatus');
+        const count = this.findMatches.length;
+        status.textContent = count === 0
+            ? 'No match'
+            : (this.findIndex >= 0 ? `${this.findIndex + 1} / ${count}` : `${count} match(es)`);
+        
+        document.querySelectorAll('#findResults li').forEach((li, idx) => {
+            li.classList.toggle('find-current', idx === this.findIndex);
+        });
+    }
+    
+    goToMatch(index) {
+        if (this.findMatches.length === 0) return;
+        
+        this.findIndex = (index + this.findMatches.length) % this.findMatches.length;
+        const match = this.findMatches[this.findIndex];
+        
+        this.selectSegment(match.segment);
+        this.masterWave.setTime(match.segment.start);
+        
+        // Sélectionner l'occurrence dans le champ de saisie
+        setTimeout(() => {
+            document.getElementById('transcriptionInput').setSelectionRange(match.start, match.end);
+        }, 150);
+        
+        this.updateFindStatus();
+        document.querySelectorAll('#findResults li')[this.findIndex]?.scrollIntoView({ block: 'nearest' });
+    }
+    
+    /**
+     * Re-run the search after any edit, undo or redo while the panel is open,
+     * so match offsets never point into outdated text
+     */
+    refreshFindResults() {
+        if (!document.getElementById('findPanel').classList.contains('hidden')) {
+            this.runFind();
+        }
+    }
+    
+    /**
+     * Replace the current match (or the first one), then move to the next
+     */
+    replaceCurrent() {
+        // Les positions doivent refléter le texte actuel
+        this.runFind();
+        if (this.findMatches.length === 0) return;
+        
+        const index = Math.max(0, this.findIndex);
+        const match = this.findMatches[index];
+        
+        this.performEdit('Replace', () => {
+            this.applyReplacements([match]);
+        });
+        
+        this.runFind();
+        if (this.findMatches.length > 0) {
+            this.goToMatch(index);
+        }
+    }
+    
+    replaceAll() {
+        this.runFind();
+        if (this.findMatches.length === 0) return;
+        
+        const count = this.findMatches.length;
+        const query = document.getElementById('findInput').value;
+        
+        this.performEdit(`Replace all "${query}"`, () => {
+            this.applyReplacements(this.findMatches);
+        });
+        
+        this.findIndex = -1;
+        this.runFind();
+        this.showToast(`${count} occurrence(s) replaced`, 'success');
+    }
+    
+    /**
+     * Write replacements into transcriptions (matches of one segment are
+     * applied from the end so that earlier offsets stay valid)
+     */
+    applyReplacements(matches) {
+        const bySegment = new Map();
+        matches.forEach(m => {
+            if (!bySegment.has(m.segment)) bySegment.set(m.segment, []);
+            bySegment.get(m.segment).push(m);
+        });
+        
+        bySegment.forEach((segMatches, segment) => {
+            let text = segment.transcription || '';
+            segMatches
+                .sort((a, b) => b.start - a.start)
+                .forEach(m => {
+                    text = text.slice(0, m.start) + m.replacement + text.slice(m.end);
+                });
+            segment.transcription = text;
+            
+            const track = this.speakerTracks.find(t => t.speakerNum === segment.speaker);
+            if (track) {
+                track.updateSegmentVisual(segment);
+            }
+        });
+        
+        this.updateEditionPanel();
+    }
+    
+    // ========================================================================
+    // SAUVEGARDE ET IMPORT JSON
+    // ========================================================================
+    
+    /**
+     * Serializable project state (speakers, segments, audio reference)
+     */
+    buildProjectData() {
+        return {
+            version: '7.0',
+            savedAt: new Date().toISOString(),
+            audio: {
+                filename: this.audioFileName || '',
+                duration: this.masterWave?.getDuration() || 0,
+                fingerprint: this.audioFingerprint
+            },
+            speakers: this.speakerTracks.map(t => ({
+                id: t.speakerNum,
+                name: t.name
+            })),
+            nextSpeakerId: this.nextSpeakerId,
+            segments: this.segments.map(s => ({
+                id: s.id,
+                start: s.start,
+                end: s.end,
+                speaker: s.speaker,
+                transcription: s.transcription || '',
+                ...(s.status ? { status: s.status } : {})
+            })),
+            snapshots: this.snapshots
+        };
+    }
+    
+    saveProject() {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const baseName = this.audioFileName ? this.audioFileName.replace(/\.[^/.]+$/, '') : 'project';
+        
+        const project = this.buildProjectData();
+        
+        const filename = `${baseName}_${timestamp}.json`;
+        this.downloadFile(filename, JSON.stringify(project, null, 2), 'application/json');
+        this.showToast(`Project saved: ${filename}`, 'success');
+    }
+    
+    importProject(file) {
+        const reader = new FileReader();
+        
+        reader.onload = async (e) => {
+            try {
+                const project = JSON.parse(e.target.result);
+                
+                // Validate format
+                if (!project.version || !project.segments) {
+                    throw new Error('Invalid file format');
+                }
+                
+                // Check that the project belongs to the loaded audio
+                const check = await this.checkProjectAudio(project.audio);
+                if (check.action === 'abort') {
+                    this.showToast('Import cancelled', 'info');
+                    return;
+                }
+                
+                let segments = project.segments;
+                if (check.action === 'offset') {
+                    segments = this.shiftImportedSegments(segments, check.offset);
+                    (project.snapshots || []).forEach(snap => {
+                        snap.segments = this.shiftImportedSegments(snap.segments, check.offset);
+                    });
+                }
+                
+                this.applyProjectData(project, segments, 'Project import');
+                
+                let message = `Project imported: ${segments.length} segments`;
+                if (check.action === 'offset') {
+                    message += ` (shifted by ${check.offset.toFixed(2)} s`;
+                    message += segments.length < project.segments.length
+                        ? `, ${project.segments.length - segments.length} outside the audio dropped)`
+                        : ')';
+                }
+                this.showToast(message, 'success');
+                
+            } catch (error) {
+                console.error('Import error:', error);
+                this.showToast('Error: invalid file', 'danger');
+            }
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    // ========================================================================
+    // PAQUET PROJET (.zip : projet JSON + audio + manifeste)
+    // ========================================================================
+    
+    /**
+     * Save the project and the original audio file in a single zip archive,
+     * with a manifest listing the SHA-256 checksum of each entry
+     */
+    async saveProjectPackage() {
+        if (!this.audioFile) {
+            this.showToast('Load an audio file before saving a package', 'danger');
+            return;
+        }
+        
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const baseName = this.audioFileName.replace(/\.[^/.]+$/, '');
+            
+            const projectJson = JSON.stringify(this.buildProjectData(), null, 2);
+            const projectBytes = new TextEncoder().encode(projectJson);
+            const audioBytes = await this.audioFile.arrayBuffer();
+            const audioPath = `audio/${this.audioFileName}`;
+            
+            const manifest = {
+                format: 'opentranscriber-package',
+                version: '1.0',
+                createdAt: new Date().toISOString(),
+                project: 'project.json',
+                audio: audioPath,
+                files: [
+                    { path: 'project.json', size: projectBytes.byteLength, sha256: await this.computeSHA256(projectBytes) },
+                    { path: audioPath, size: audioBytes.byteLength, sha256: await this.computeSHA256(audioBytes), mimeType: this.audioFile.type || '' }
+                ]
+            };
+            
+            const zip = new JSZip();
+            zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+            zip.file('project.json', projectBytes);
+            // Audio is already compressed (or too big to gain much): store it as-is
+            zip.file(audioPath, audioBytes, { compression: 'STORE' });
+            
+            const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+            const filename = `${baseName}_${timestamp}.zip`;
+            this.downloadFile(filename, blob, 'application/zip');
+            this.showToast(`Package saved: ${filename}`, 'success');
+            
+        } catch (error) {
+            console.error('Package save error:', error);
+            this.showToast('Error: could not create package', 'danger');
+        }
+    }
+    
+    /**
+     * Open a package written by saveProjectPackage: verify checksums, load the
+     * bundled audio into the master track, then restore speakers and segments
+     */
+    async importProjectPackage(file) {
+        try {
+            const zip = await JSZip.loadAsync(file);
+            const manifestEntry = zip.file('manifest.json');
+            
+            if (!manifestEntry) {
+                throw new Error('Not an OpenTranscriber package (no manifest.json)');
             }
             
-            // Mettre à jour l'info si sélectionné
-            if (this.selectedSegment && this.selectedSegment.id === segment.id) {
-                document.getElementById('segmentTimeInfo').textContent = 
-                    `${this.formatTime(segment.start)} → ${this.formatTime(segment.end)} (${(segment.end - segment.start).toFixed(2)}s)`;
+            const manifest = JSON.parse(await manifestEntry.async('string'));
+            if (manifest.format !== 'opentranscriber-package') {
+                throw new Error('Unknown package format');
+            }
+            
+            // Verify checksums
+            const contents = {};
+            const mismatches = [];
+            for (const entry of manifest.files) {
+                const zipEntry = zip.file(entry.path);
+                if (!zipEntry) {
+                    throw new Error(`Missing file in package: ${entry.path}`);
+                }
+                contents[entry.path] = await zipEntry.async('arraybuffer');
+                
+                const checksum = await this.computeSHA256(contents[entry.path]);
+                if (checksum && entry.sha256 && checksum !== entry.sha256) {
+                    mismatches.push(entry.path);
+                }
+            }
+            
+            if (mismatches.length > 0 &&
+                !confirm(`Checksum mismatch for: ${mismatches.join(', ')}.\nThe package may be corrupted. Open anyway?`)) {
+                return;
+            }
+            
+            const project = JSON.parse(new TextDecoder().decode(contents[manifest.project]));
+            const audioEntry = manifest.files.find(f => f.path === manifest.audio);
+            if (!audioEntry) {
+                throw new Error('No audio file listed in manifest');
+            }
+            const audioName = manifest.audio.replace(/^audio\//, '');
+            const audioFile = new File([contents[manifest.audio]], audioName, { type: audioEntry.mimeType || '' });
+            
+            // Restore speakers and segments once the bundled audio is decoded
+            this.clearHistory();
+            this.loadAudioFile(audioFile);
+            this.whenAudioFileReady(audioFile, () => {
+                this.applyProjectData(project, project.segments, 'Open package');
+                this.clearHistory();
+                this.showToast(`Package opened: ${audioName}, ${project.segments.length} segments`, 'success');
+            });
+            
+        } catch (error) {
+            console.error('Package import error:', error);
+            this.showToast(`Error: invalid package (${error.message})`, 'danger');
+        }
+    }
+    
+    /**
+     * Replace speaker tracks and segments with imported data (snapshots of
+     * the previous document are dropped)
+     * @param {Array<{id: number, name: string}>} speakers - Tracks to create (kept as-is if empty)
+     * @param {Array<{start: number, end: number, speaker: number, transcription: string}>} segments
+     * @param {string} actionName - Undo history label
+     */
+    applyImportedTranscription(speakers, segments, actionName = 'Import') {
+        const edit = this.beginEdit(actionName);
+        
+        // Import speakers
+        if (speakers && speakers.length > 0) {
+            // Remove existing tracks
+            while (this.speakerTracks.length > 0) {
+                this.speakerTracks[0].destroy();
+                this.speakerTracks.shift();
+            }
+            
+            // Create new tracks
+            speakers.forEach(spk => {
+                const color = this.speakerColors[(spk.id - 1) % this.speakerColors.length];
+                const track = new SpeakerTrack(spk.id, color, this);
+                track.name = spk.name;
+                track.container.querySelector('.speaker-name').value = spk.name;
+                this.speakerTracks.push(track);
+                
+                if (this.getTrackPeaks()) {
+                    track.loadPeaks(this.getTrackPeaks());
+                }
+            });
+            this.reserveSpeakerIds(speakers.map(spk => spk.id));
+            
+            this.updateSpeakerSelect();
+            this.updateSpeakerFilterButtons();
+        }
+        
+        // Clear existing segments
+        this.closeEditor();
+        this.segments = [];
+        this.masterRegions.clearRegions();
+        this.speakerTracks.forEach(t => t.clearSegments());
+        
+        // Import segments (keeping ids from our own projects, so that snapshots still match)
+        segments.forEach(seg => {
+            const segment = this.createSegment(seg.start, seg.end, seg.speaker, seg.transcription, seg.id);
+            if (seg.status) segment.status = seg.status;
+        });
+        
+        this.commitEdit(edit);
+        
+        // Les instantanés décrivaient l'ancien document (applyProjectData remet ceux du projet)
+        this.snapshots = [];
+        this.renderSnapshotList();
+    }
+    
+    /**
+     * Restore an OpenTranscriber project (speakers, segments and snapshots)
+     */
+    applyProjectData(project, segments, actionName) {
+        this.applyImportedTranscription(project.speakers, segments, actionName);
+        this.reserveSpeakerIds([(project.nextSpeakerId || 1) - 1]);
+        this.snapshots = project.snapshots || [];
+        this.renderSnapshotList();
+    }
+    
+    /**
+     * Route an imported file to the right parser according to its extension
+     */
+    importFile(file) {
+        const ext = file.name.split('.').pop().toLowerCase();
+        
+        switch (ext) {
+            case 'eaf':
+                this.importEAF(file);
+                break;
+            case 'textgrid':
+                this.importTextGrid(file);
+                break;
+            case 'trs':
+                this.importTRS(file);
+                break;
+            case 'srt':
+            case 'vtt':
+                this.importSubtitles(file);
+                break;
+            case 'exb':
+                this.importEXB(file);
+                break;
+            case 'rttm':
+                this.importRTTM(file);
+                break;
+            case 'zip':
+                this.importProjectPackage(file);
+                break;
+            default:
+                this.importProject(file);
+        }
+    }
+    
+    // ========================================================================
+    // IMPORT ELAN (.eaf)
+    // ========================================================================
+    
+    importEAF(file) {
+        const reader = new FileReader();
+        
+        reader.onload = (e) => {
+            try {
+                const result = this.parseEAF(e.target.result);
+                
+                if (result.speakers.length === 0) {
+                    throw new Error('No time-aligned tier found');
+                }
+                
+                this.applyImportedTranscription(result.speakers, result.segments, 'EAF import');
+                
+                let message = `EAF imported: ${result.segments.length} segments for ${result.speakers.length} speakers`;
+                if (result.skippedTiers.length > 0) {
+                    console.warn('⚠️ EAF tiers not imported:', result.skippedTiers);
+                    message += ` — ${result.skippedTiers.length} dependent tier(s) skipped: ${result.skippedTiers.map(t => t.id).join(', ')}`;
+                }
+                if (result.unalignedCount > 0) {
+                    console.warn(`⚠️ ${result.unalignedCount} EAF annotation(s) without time values skipped`);
+                    message += ` — ${result.unalignedCount} unaligned annotation(s) skipped`;
+                }
+                this.showToast(message, result.skippedTiers.length || result.unalignedCount ? 'info' : 'success');
+                
+            } catch (error) {
+                console.error('EAF import error:', error);
+                this.showToast(`Error: invalid EAF file (${error.message})`, 'danger');
+            }
+        };
+        
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Parse an ELAN annotation document.
+     * Top-level tiers (no PARENT_REF) holding ALIGNABLE_ANNOTATIONs become
+     * speakers, one per PARTICIPANT; dependent tiers (time subdivisions,
+     * symbolic associations...) are returned in skippedTiers.
+     * @param {string} text - EAF XML content
+     * @returns {{speakers: Array, segments: Array, skippedTiers: Array, unalignedCount: number}}
+     */
+    parseEAF(text) {
+        const doc = this.parseXml(text);
+        
+        if (!doc.querySelector('ANNOTATION_DOCUMENT')) {
+            throw new Error('Missing ANNOTATION_DOCUMENT');
+        }
+        
+        // TIME_ORDER: slot id -> seconds (unaligned slots have no TIME_VALUE)
+        const slots = {};
+        doc.querySelectorAll('TIME_ORDER > TIME_SLOT').forEach(slot => {
+            const value = slot.getAttribute('TIME_VALUE');
+            slots[slot.getAttribute('TIME_SLOT_ID')] = value !== null && value !== '' ? parseInt(value) / 1000 : null;
+        });
+        
+        const speakers = [];
+        const segments = [];
+        const skippedTiers = [];
+        let unalignedCount = 0;
+        
+        doc.querySelectorAll('TIER').forEach(tier => {
+            const tierId = tier.getAttribute('TIER_ID') || `Tier ${speakers.length + 1}`;
+            const alignable = tier.querySelectorAll('ALIGNABLE_ANNOTATION');
+            
+            if (alignable.length === 0 || tier.getAttribute('PARENT_REF')) {
+                skippedTiers.push({
+                    id: tierId,
+                    parent: tier.getAttribute('PARENT_REF'),
+                    annotations: alignable.length + tier.querySelectorAll('REF_ANNOTATION').length
+                });
+                return;
+            }
+            
+            // Plusieurs tiers d'un même participant : une seule piste
+            const name = tier.getAttribute('PARTICIPANT') || tierId;
+            let speaker = speakers.find(spk => spk.name === name);
+            if (!speaker) {
+                speaker = { id: speakers.length + 1, name };
+                speakers.push(speaker);
+            }
+            const speakerNum = speaker.id;
+            
+            alignable.forEach(ann => {
+                const start = slots[ann.getAttribute('TIME_SLOT_REF1')];
+                const end = slots[ann.getAttribute('TIME_SLOT_REF2')];
+                
+                if (start == null || end == null || end <= start) {
+                    unalignedCount++;
+                    return;
+                }
+                
+                const value = ann.querySelector('ANNOTATION_VALUE');
+                segments.push({
+                    start,
+                    end,
+                    speaker: speakerNum,
+                    transcription: value ? value.textContent : ''
+                });
+            });
+        });
+        
+        return { speakers, segments, skippedTiers, unalignedCount };
+    }
+    
+    // ========================================================================
+    // IMPORT PRAAT TEXTGRID
+    // ========================================================================
+    
+    importTextGrid(file) {
+        const reader = new FileReader();
+        
+        reader.onload = (e) => {
+            try {
+                const text = this.decodeTextBuffer(e.target.result);
+                const result = this.parseTextGrid(text);
+                
+                if (result.speakers.length === 0) {
+                    throw new Error('No IntervalTier found');
+                }
+                
+                this.applyImportedTranscription(result.speakers, result.segments, 'TextGrid import');
+                
+                let message = `TextGrid imported: ${result.segments.length} segments on ${result.speakers.length} tiers`;
+                if (result.pointTiers.length > 0) {
+                    console.warn('⚠️ TextGrid point tiers not imported:', result.pointTiers);
+                    message += ` — point tier(s) ignored: ${result.pointTiers.join(', ')}`;
+                }
+                this.showToast(message, result.pointTiers.length > 0 ? 'info' : 'success');
+                
+            } catch (error) {
+                console.error('TextGrid import error:', error);
+                this.showToast(`Error: invalid TextGrid file (${error.message})`, 'danger');
+            }
+        };
+        
+        reader.readAsArrayBuffer(file);
+    }
+    
+    /**
+     * Parse a Praat TextGrid in long ("ooTextFile" with labels) or short format.
+     * Both layouts carry the same sequence of values, so labels, comments and
+     * [n] indices are skipped and only strings, numbers and flags are read.
+     * Empty intervals are dropped; TextTiers are listed in pointTiers.
+     * @param {string} text - Decoded file content
+     * @returns {{speakers: Array, segments: Array, pointTiers: Array<string>}}
+     */
+    parseTextGrid(text) {
+        const tokens = [];
+        const tokenRegex = /"((?:[^"]|"")*)"|\[[^\]\n]*\]|<(exists|absent)>|([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/g;
+        let match;
+        
+        while ((match = tokenRegex.exec(text)) !== null) {
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'string', value: match[1].replace(/""/g, '"') });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'flag', value: match[2] === 'exists' });
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'number', value: parseFloat(match[3]) });
+            }
+        }
+        
+        let pos = 0;
+        const next = (type) => {
+            const token = tokens[pos++];
+            if (!token || token.type !== type) {
+                throw new Error(`Unexpected content near value ${pos}`);
             }
+            return token.value;
+        };
+        
+        if (next('string') !== 'ooTextFile' || next('string') !== 'TextGrid') {
+            throw new Error('Not a TextGrid');
+        }
+        
+        next('number'); // xmin
+        next('number'); // xmax
+        
+        const speakers = [];
+        const segments = [];
+        const pointTiers = [];
+        
+        if (!next('flag')) {
+            return { speakers, segments, pointTiers };
         }
-    }
-    
-    redrawAllSegments() {
-        // Vider master
-        this.masterRegions.clearRegions();
         
-        // Vider pistes
-        this.speakerTracks.forEach(t => t.clearSegments());
+        const tierCount = next('number');
         
-        // Redessiner
-        this.segments.forEach(seg => {
-            this.masterRegions.addRegion({
-                id: seg.id,
-                start: seg.start,
-                end: seg.end,
-                color: seg.color.bg,
-                drag: true,
-                resize: true
-            });
+        for (let t = 0; t < tierCount; t++) {
+            const tierClass = next('string');
+            const name = next('string');
+            next('number'); // xmin
+            next('number'); // xmax
+            const size = next('number');
             
-            const track = this.speakerTracks.find(t => t.speakerNum === seg.speaker);
-            if (track) {
-                track.addSegment(seg);
+            if (tierClass === 'IntervalTier') {
+                const speakerNum = speakers.length + 1;
+                speakers.push({ id: speakerNum, name: name || `Tier ${t + 1}` });
+                
+                for (let i = 0; i < size; i++) {
+                    const start = next('number');
+                    const end = next('number');
+                    const label = next('string');
+                    
+                    if (label.trim() !== '' && end > start) {
+                        segments.push({ start, end, speaker: speakerNum, transcription: label });
+                    }
+                }
+            } else if (tierClass === 'TextTier') {
+                pointTiers.push(name);
+                for (let i = 0; i < size; i++) {
+                    next('number'); // time
+                    next('string'); // mark
+                }
+            } else {
+                throw new Error(`Unknown tier class ${tierClass}`);
             }
-        });
+        }
+        
+        return { speakers, segments, pointTiers };
     }
     
     // ========================================================================
-    // LECTURE EN BOUCLE DU SEGMENT
+    // IMPORT TRANSCRIBER (.trs)
     // ========================================================================
     
-    playSelectedSegment() {
-        if (!this.selectedSegment) return;
+    importTRS(file) {
+        const reader = new FileReader();
         
-        const regions = this.masterRegions.getRegions();
-        const region = regions.find(r => r.id === this.selectedSegment.id);
+        reader.onload = (e) => {
+            try {
+                const text = this.decodeXmlBuffer(e.target.result);
+                const result = this.parseTRS(text);
+                
+                if (result.speakers.length === 0) {
+                    throw new Error('No speaker found');
+                }
+                
+                this.applyImportedTranscription(result.speakers, result.segments, 'TRS import');
+                this.showToast(`Transcriber file imported: ${result.segments.length} segments, ${result.speakers.length} speakers`, 'success');
+                
+            } catch (error) {
+                console.error('TRS import error:', error);
+                this.showToast(`Error: invalid Transcriber file (${error.message})`, 'danger');
+            }
+        };
         
-        if (region) {
-            this.isPlayingSegment = true;
-            this.activeRegion = region;
-            region.play();
+        reader.readAsArrayBuffer(file);
+    }
+    
+    /**
+     * Parse a Transcriber .trs document.
+     * Each Sync interval of a Turn becomes one segment per speaker; in overlapping
+     * turns (speaker="spk1 spk2") the text following <Who nb="n"/> goes to the
+     * n-th speaker, and an empty <Who> extends that speaker's segment from the
+     * previous interval. Event and Comment elements are kept inline as [event] and
+     * {comment} markup (see trsMarkupToXml for the reverse mapping).
+     * @param {string} text - TRS XML content
+     * @returns {{speakers: Array, segments: Array}}
+     */
+    parseTRS(text) {
+        const doc = this.parseXml(text);
+        
+        if (!doc.querySelector('Trans')) {
+            throw new Error('Missing Trans element');
         }
+        
+        const speakers = [];
+        const speakerIds = {};
+        const getSpeakerNum = (trsId, name) => {
+            if (!speakerIds[trsId]) {
+                speakerIds[trsId] = speakers.length + 1;
+                speakers.push({ id: speakerIds[trsId], name: name || trsId });
+            }
+            return speakerIds[trsId];
+        };
+        
+        doc.querySelectorAll('Speakers > Speaker').forEach(spk => {
+            getSpeakerNum(spk.getAttribute('id'), spk.getAttribute('name'));
+        });
+        
+        const segments = [];
+        
+        doc.querySelectorAll('Turn').forEach(turn => {
+            const turnSpeakers = (turn.getAttribute('speaker') || '')
+                .split(/\s+/)
+                .filter(id => id)
+                .map(id => getSpeakerNum(id));
+            const turnEnd = parseFloat(turn.getAttribute('endTime'));
+            
+            let syncTime = parseFloat(turn.getAttribute('startTime'));
+            let whoIndex = 0;
+            let texts = [];
+            const current = [];   // last segment of each turn speaker
+            const named = new Set();   // speakers with a <Who> in the current interval
+            
+            const flush = (endTime) => {
+                if (endTime > syncTime) {
+                    if (turnSpeakers.length === 0) {
+                        // Turn without speaker (noise, music...): keep only if transcribed
+                        const content = this.normalizeTrsText(texts.join(' '));
+                        if (content) {
+                            segments.push({
+                                start: syncTime,
+                                end: endTime,
+                                speaker: getSpeakerNum('(none)', 'No speaker'),
+                                transcription: content
+                            });
+                        }
+                    } else {
+                        turnSpeakers.forEach((speakerNum, idx) => {
+                            const content = this.normalizeTrsText(texts[idx] || '');
+                            const previous = current[idx];
+                            if (content || turnSpeakers.length === 1) {
+                                current[idx] = { start: syncTime, end: endTime, speaker: speakerNum, transcription: content };
+                                segments.push(current[idx]);
+                            } else if (named.has(idx) && previous && previous.end === syncTime) {
+                                // <Who> sans texte : le segment de l'intervalle précédent continue
+                                previous.end = endTime;
+                            }
+                        });
+                    }
+                }
+                texts = [];
+                named.clear();
+            };
+            
+            const append = (str) => {
+                texts[whoIndex] = (texts[whoIndex] || '') + str;
+            };
+            
+            turn.childNodes.forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    append(node.textContent);
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+                
+                switch (node.nodeName) {
+                    case 'Sync': {
+                        const time = parseFloat(node.getAttribute('time'));
+                        flush(time);
+                        syncTime = time;
+                        whoIndex = 0;
+                        break;
+                    }
+                    case 'Who':
+                        whoIndex = Math.max(0, parseInt(node.getAttribute('nb')) - 1);
+                        named.add(whoIndex);
+                        break;
+                    case 'Event':
+                        append(` ${this.trsEventToMarkup(node)} `);
+                        break;
+                    case 'Comment':
+                        append(` {${node.getAttribute('desc') || ''}} `);
+                        break;
+                }
+            });
+            
+            flush(turnEnd);
+        });
+        
+        return { speakers, segments };
     }
     
-    toggleLoop() {
-        this.loopEnabled = !this.loopEnabled;
-        document.getElementById('loopToggle').checked = this.loopEnabled;
-        this.showToast(this.loopEnabled ? 'Boucle activée' : 'Boucle désactivée', 'info');
+    normalizeTrsText(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+    
+    /**
+     * Write a Transcriber <Event> as inline markup:
+     * [desc] for an instantaneous noise, [type=desc] for other types,
+     * and [desc-] / [-desc] / [<desc] / [desc>] for begin / end / previous / next extents
+     */
+    trsEventToMarkup(event) {
+        const type = event.getAttribute('type') || 'noise';
+        const extent = event.getAttribute('extent') || 'instantaneous';
+        let label = event.getAttribute('desc') || '';
+        
+        if (type !== 'noise') label = `${type}=${label}`;
+        
+        switch (extent) {
+            case 'begin': label = `${label}-`; break;
+            case 'end': label = `-${label}`; break;
+            case 'previous': label = `<${label}`; break;
+            case 'next': label = `${label}>`; break;
+        }
+        
+        return `[${label}]`;
     }
     
     // ========================================================================
-    // SEGMENTATION À LA VOLÉE
+    // IMPORT SOUS-TITRES (SRT / WebVTT)
     // ========================================================================
     
-    toggleMarking() {
-        if (!this.isMarking) {
-            // Début du marquage
-            this.markStartTime = this.masterWave.getCurrentTime();
-            this.isMarking = true;
-            this.showToast(`Start marked at ${this.formatTime(this.markStartTime)}`, 'info');
-        } else {
-            // Fin du marquage
-            const endTime = this.masterWave.getCurrentTime();
-            
-            if (endTime > this.markStartTime) {
-                // Save state before creating segment
-                this.saveState('create segment (S key)');
+    importSubtitles(file) {
+        const reader = new FileReader();
+        
+        reader.onload = (e) => {
+            try {
+                const cues = this.parseSubtitles(this.decodeTextBuffer(e.target.result));
                 
-                // Créer segment (locuteur selon filtre actif ou 1 par défaut)
-                const speakerNum = this.getDefaultSpeakerForNewSegment();
-                this.createSegment(this.markStartTime, endTime, speakerNum);
-                this.showToast('Segment created!', 'success');
+                if (cues.length === 0) {
+                    throw new Error('No cue found');
+                }
+                
+                // Match voice names against existing tracks, create the missing ones
+                const speakers = this.speakerTracks.map(t => ({ id: t.speakerNum, name: t.name }));
+                let nextId = Math.max(this.nextSpeakerId, ...speakers.map(s => s.id + 1));
+                const findOrCreate = (name) => {
+                    let spk = speakers.find(s => s.name.toLowerCase() === name.toLowerCase());
+                    if (!spk) {
+                        spk = { id: nextId++, name };
+                        speakers.push(spk);
+                    }
+                    return spk.id;
+                };
+                
+                const defaultSpeaker = speakers.length > 0 ? this.getDefaultSpeakerForNewSegment() : null;
+                const segments = cues.map(cue => ({
+                    start: cue.start,
+                    end: cue.end,
+                    speaker: cue.speaker ? findOrCreate(cue.speaker) : (defaultSpeaker || findOrCreate('Speaker 1')),
+                    transcription: cue.text
+                }));
+                
+                this.applyImportedTranscription(speakers, segments, 'Subtitle import');
+                this.showToast(`Subtitles imported: ${segments.length} segments, ${speakers.length} speakers`, 'success');
+                
+            } catch (error) {
+                console.error('Subtitle import error:', error);
+                this.showToast(`Error: invalid subtitle file (${error.message})`, 'danger');
             }
+        };
+        
+        reader.readAsArrayBuffer(file);
+    }
+    
+    /**
+     * Parse SRT or WebVTT cues.
+     * The speaker comes from <v Name> voice spans, or else from a "NAME:" prefix;
+     * a cue holding several voices (or "- A: ... / - B: ..." lines) yields one
+     * cue per voice with the same timing.
+     * @param {string} text - Decoded file content
+     * @returns {Array<{start: number, end: number, speaker: string|null, text: string}>}
+     */
+    parseSubtitles(text) {
+        const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+        const timing = /^\s*(\S+)\s+-->\s+(\S+)/;
+        const cues = [];
+        
+        blocks.forEach(block => {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex(line => timing.test(line));
             
-            this.isMarking = false;
-            this.markStartTime = null;
-        }
+            // Header, NOTE, STYLE and REGION blocks have no timing line
+            if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+            
+            const match = lines[timingIndex].match(timing);
+            const start = this.parseSubtitleTime(match[1]);
+            const end = this.parseSubtitleTime(match[2]);
+            if (start === null || end === null || end <= start) return;
+            
+            const payload = lines.slice(timingIndex + 1).join('\n').trim();
+            this.splitSubtitleVoices(payload).forEach(voice => {
+                cues.push({ start, end, speaker: voice.speaker, text: voice.text });
+            });
+        });
+        
+        return cues;
     }
     
-    // ========================================================================
-    // SAUVEGARDE ET IMPORT JSON
-    // ========================================================================
+    /**
+     * Parse "hh:mm:ss.mmm", "mm:ss.mmm" or SRT "hh:mm:ss,mmm" into seconds
+     */
+    parseSubtitleTime(str) {
+        const match = str.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+        if (!match) return null;
+        
+        const hours = parseInt(match[1] || '0');
+        const ms = match[4] ? parseInt(match[4].padEnd(3, '0')) : 0;
+        return hours * 3600 + parseInt(match[2]) * 60 + parseInt(match[3]) + ms / 1000;
+    }
     
-    saveProject() {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const baseName = this.audioFileName ? this.audioFileName.replace(/\.[^/.]+$/, '') : 'project';
+    splitSubtitleVoices(payload) {
+        const voices = [];
+        const cleanText = (str) => str
+            .replace(/<[^>]*>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lrm;|&rlm;/g, '')
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+        
+        // WebVTT voice spans: <v Name>, <v.class Name>
+        const voiceTag = /<v(?:\.[^\s>]*)?\s+([^>]+)>/g;
+        if (voiceTag.test(payload)) {
+            const parts = payload.split(/(<v(?:\.[^\s>]*)?\s+[^>]+>)/);
+            let speaker = null;
+            parts.forEach(part => {
+                const tag = part.match(/^<v(?:\.[^\s>]*)?\s+([^>]+)>$/);
+                if (tag) {
+                    speaker = tag[1].trim();
+                } else {
+                    const content = cleanText(part);
+                    if (content) voices.push({ speaker, text: content });
+                }
+            });
+            return voices;
+        }
         
-        const project = {
-            version: '7.0',
-            savedAt: new Date().toISOString(),
-            audio: {
-                filename: this.audioFileName || '',
-                duration: this.masterWave?.getDuration() || 0
-            },
-            speakers: this.speakerTracks.map(t => ({
-                id: t.speakerNum,
-                name: t.name
-            })),
-            segments: this.segments.map(s => ({
-                id: s.id,
-                start: s.start,
-                end: s.end,
-                speaker: s.speaker,
-                transcription: s.transcription || ''
-            }))
+        // "NAME: text" prefixes, one per line (optionally as "- NAME: text" dialogue lines).
+        // Without the dash, only an uppercase or title-case name of up to three
+        // words is a speaker, so that "He said: go" or "note: …" stay text.
+        const prefix = /^([-–—]\s*)?([\p{L}][\p{L}\p{M}'’. -]{0,30}?)\s*:\s+(.*)$/u;
+        const isSpeakerName = (name) => {
+            const words = name.split(/\s+/);
+            const upper = name === name.toUpperCase() && name !== name.toLowerCase();
+            return upper || (words.length <= 3 && words.every(word => /^\p{Lu}/u.test(word)));
         };
+        payload.split('\n').forEach(line => {
+            const match = line.match(prefix);
+            if (match && (match[1] || isSpeakerName(match[2].trim()))) {
+                voices.push({ speaker: match[2].trim(), text: cleanText(match[3]) });
+            } else if (voices.length > 0) {
+                const last = voices[voices.length - 1];
+                last.text = cleanText(`${last.text} ${line}`);
+            } else {
+                voices.push({ speaker: null, text: cleanText(line) });
+            }
+        });
         
-        const filename = `${baseName}_${timestamp}.json`;
-        this.downloadFile(filename, JSON.stringify(project, null, 2), 'application/json');
-        this.showToast(`Project saved: ${filename}`, 'success');
+        return voices;
     }
     
-    importProject(file) {
+    // ========================================================================
+    // IMPORT EXMARaLDA (.exb)
+    // ========================================================================
+    
+    importEXB(file) {
         const reader = new FileReader();
         
         reader.onload = (e) => {
             try {
-                const project = JSON.parse(e.target.result);
+                const result = this.parseEXB(this.decodeXmlBuffer(e.target.result));
                 
-                // Validate format
-                if (!project.version || !project.segments) {
-                    throw new Error('Invalid file format');
+                if (result.speakers.length === 0) {
+                    throw new Error('No transcription tier found');
                 }
                 
-                // Save state before import
-                this.saveState('before import');
+                this.applyImportedTranscription(result.speakers, result.segments, 'EXMARaLDA import');
                 
-                // Import speakers
-                if (project.speakers && project.speakers.length > 0) {
-                    // Remove existing tracks
-                    while (this.speakerTracks.length > 0) {
-                        this.speakerTracks[0].destroy();
-                        this.speakerTracks.shift();
-                    }
-                    
-                    // Create new tracks
-                    project.speakers.forEach(spk => {
-                        const color = this.speakerColors[(spk.id - 1) % this.speakerColors.length];
-                        const track = new SpeakerTrack(spk.id, color, this);
-                        track.name = spk.name;
-                        track.container.querySelector('.speaker-name').value = spk.name;
-                        this.speakerTracks.push(track);
-                        
-                        if (this.audioFile) {
-                            track.loadAudio(this.audioFile);
-                        }
-                    });
-                    
-                    this.updateSpeakerSelect();
-                    this.updateSpeakerFilterButtons();
+                let message = `EXMARaLDA imported: ${result.segments.length} segments, ${result.speakers.length} speakers`;
+                if (result.skippedTiers.length > 0) {
+                    console.warn('⚠️ EXMARaLDA tiers not imported:', result.skippedTiers);
+                    message += ` — ${result.skippedTiers.length} annotation/description tier(s) skipped: ${result.skippedTiers.map(t => t.name).join(', ')}`;
                 }
+                this.showToast(message, result.skippedTiers.length > 0 ? 'info' : 'success');
+                
+            } catch (error) {
+                console.error('EXMARaLDA import error:', error);
+                this.showToast(`Error: invalid EXMARaLDA file (${error.message})`, 'danger');
+            }
+        };
+        
+        reader.readAsArrayBuffer(file);
+    }
+    
+    /**
+     * Parse an EXMARaLDA Basic-Transcription.
+     * Each speaker of the speakertable with a transcription ("t") tier becomes a
+     * track; timeline items without an absolute time are interpolated between
+     * their aligned neighbours. Annotation ("a") and description ("d") tiers
+     * are returned in skippedTiers.
+     * @param {string} text - EXB XML content
+     * @returns {{speakers: Array, segments: Array, skippedTiers: Array}}
+     */
+    parseEXB(text) {
+        const doc = this.parseXml(text);
+        
+        if (!doc.querySelector('basic-transcription')) {
+            throw new Error('Missing basic-transcription element');
+        }
+        
+        // Common timeline, with linear interpolation of unaligned items
+        const tlis = Array.from(doc.querySelectorAll('common-timeline > tli')).map(tli => ({
+            id: tli.getAttribute('id'),
+            time: tli.hasAttribute('time') ? parseFloat(tli.getAttribute('time')) : null
+        }));
+        
+        tlis.forEach((tli, idx) => {
+            if (tli.time !== null) return;
+            
+            let prev = idx - 1;
+            while (prev >= 0 && tlis[prev].time === null) prev--;
+            let next = idx + 1;
+            while (next < tlis.length && tlis[next].time === null) next++;
+            
+            const prevTime = prev >= 0 ? tlis[prev].time : 0;
+            if (next < tlis.length) {
+                tli.time = prevTime + (tlis[next].time - prevTime) * (idx - prev) / (next - prev);
+            } else {
+                tli.time = prevTime;
+            }
+        });
+        
+        const times = {};
+        tlis.forEach(tli => { times[tli.id] = tli.time; });
+        
+        const speakerNames = {};
+        doc.querySelectorAll('speakertable > speaker').forEach(spk => {
+            const abbr = spk.querySelector('abbreviation');
+            speakerNames[spk.getAttribute('id')] = abbr && abbr.textContent.trim() ? abbr.textContent.trim() : spk.getAttribute('id');
+        });
+        
+        const speakers = [];
+        const speakerNums = {};
+        const segments = [];
+        const skippedTiers = [];
+        
+        doc.querySelectorAll('basic-body > tier').forEach(tier => {
+            const name = tier.getAttribute('display-name') || tier.getAttribute('id');
+            
+            if (tier.getAttribute('type') !== 't') {
+                skippedTiers.push({
+                    name,
+                    type: tier.getAttribute('type'),
+                    events: tier.querySelectorAll('event').length
+                });
+                return;
+            }
+            
+            const speakerId = tier.getAttribute('speaker') || tier.getAttribute('id');
+            if (!speakerNums[speakerId]) {
+                speakerNums[speakerId] = speakers.length + 1;
+                speakers.push({ id: speakerNums[speakerId], name: speakerNames[speakerId] || name });
+            }
+            
+            tier.querySelectorAll('event').forEach(event => {
+                const start = times[event.getAttribute('start')];
+                const end = times[event.getAttribute('end')];
                 
-                // Clear existing segments
-                this.segments = [];
-                this.masterRegions.clearRegions();
-                this.speakerTracks.forEach(t => t.clearSegments());
+                if (start == null || end == null || end <= start) return;
                 
-                // Import segments
-                project.segments.forEach(seg => {
-                    this.createSegment(seg.start, seg.end, seg.speaker, seg.transcription);
+                segments.push({
+                    start,
+                    end,
+                    speaker: speakerNums[speakerId],
+                    transcription: event.textContent.trim()
                 });
+            });
+        });
+        
+        return { speakers, segments, skippedTiers };
+    }
+    
+    // ========================================================================
+    // IMPORT RTTM (diarisation)
+    // ========================================================================
+    
+    importRTTM(file) {
+        const reader = new FileReader();
+        
+        reader.onload = (e) => {
+            try {
+                const fileId = this.audioFileName ? this.audioFileName.replace(/\.[^/.]+$/, '').replace(/\s+/g, '_') : null;
+                const result = this.parseRTTM(e.target.result, fileId);
+                
+                if (result.segments.length === 0) {
+                    throw new Error('No SPEAKER line found');
+                }
                 
-                this.showToast(`Project imported: ${project.segments.length} segments`, 'success');
+                this.applyImportedTranscription(result.speakers, result.segments, 'RTTM import');
                 
-                // Avertir si l'audio ne correspond pas
-                if (project.audio && project.audio.filename && this.audioFileName) {
-                    if (project.audio.filename !== this.audioFileName) {
-                        this.showToast(`⚠️ Audio différent: ${project.audio.filename}`, 'info');
-                    }
+                let message = `RTTM imported: ${result.segments.length} turns, ${result.speakers.length} speakers`;
+                if (result.otherFiles.length > 0) {
+                    console.warn(`⚠️ RTTM lines for other files ignored: ${result.otherFiles.join(', ')}`);
+                    message += ` (file "${result.fileId}" only)`;
                 }
+                this.showToast(message, 'success');
                 
             } catch (error) {
-                console.error('Import error:', error);
-                this.showToast('Error: invalid file', 'danger');
+                console.error('RTTM import error:', error);
+                this.showToast(`Error: invalid RTTM file (${error.message})`, 'danger');
             }
         };
         
         reader.readAsText(file);
     }
     
+    /**
+     * Parse RTTM diarisation output: one speaker track per label and one
+     * untranscribed segment per SPEAKER line. When the file covers several
+     * recordings, only the one matching the loaded audio (or else the first
+     * one) is kept.
+     * @param {string} text - RTTM content
+     * @param {string|null} preferredFileId - Loaded audio name without extension
+     * @returns {{speakers: Array, segments: Array, fileId: string, otherFiles: Array<string>}}
+     */
+    parseRTTM(text, preferredFileId = null) {
+        const turns = [];
+        
+        text.split(/\r?\n/).forEach(line => {
+            const fields = line.trim().split(/\s+/);
+            if (fields[0] !== 'SPEAKER' || fields.length < 8) return;
+            
+            const start = parseFloat(fields[3]);
+            const duration = parseFloat(fields[4]);
+            if (isNaN(start) || isNaN(duration) || duration <= 0) return;
+            
+            turns.push({ fileId: fields[1], start, end: start + duration, label: fields[7] });
+        });
+        
+        const fileIds = [...new Set(turns.map(t => t.fileId))];
+        const fileId = fileIds.includes(preferredFileId) ? preferredFileId : fileIds[0];
+        
+        const speakers = [];
+        const speakerNums = {};
+        const segments = [];
+        
+        turns.filter(t => t.fileId === fileId).forEach(turn => {
+            if (!speakerNums[turn.label]) {
+                speakerNums[turn.label] = speakers.length + 1;
+                speakers.push({ id: speakerNums[turn.label], name: turn.label });
+            }
+            segments.push({
+                start: turn.start,
+                end: turn.end,
+                speaker: speakerNums[turn.label],
+                transcription: ''
+            });
+        });
+        
+        return { speakers, segments, fileId, otherFiles: fileIds.filter(id => id !== fileId) };
+    }
+    
     // ========================================================================
     // SEGMENTATION AUTOMATIQUE (MULTI-STRATÉGIES)
     // ========================================================================
@@ -979,6 +5018,7 @@ class OpenTranscriber {
     }
     
     closeAutoSegModal() {
+        this.cancelAnalysis();
         document.getElementById('autoSegModal').classList.remove('active');
     }
     
@@ -996,13 +5036,14 @@ class OpenTranscriber {
         };
         
         try {
-            // Save state before auto-segmentation
-            this.saveState('auto-segmentation');
-            
             const segments = await this.runAutoSegmentation(strategy, params);
             this.showToast(`${segments.length} segments created!`, 'success');
             this.closeAutoSegModal();
         } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showToast('Segmentation cancelled, project unchanged', 'info');
+                return;
+            }
             console.error('Segmentation error:', error);
             this.showToast('Segmentation error', 'danger');
         }
@@ -1020,6 +5061,8 @@ class OpenTranscriber {
             progressBar.style.width = '0%';
         }
         
+        const job = this.startAnalysisJob();
+        
         try {
             let segments = [];
             
@@ -1053,10 +5096,16 @@ class OpenTranscriber {
                     break;
             }
             
-            // Créer les segments dans l'interface
-            segments.forEach(seg => {
-                const speakerNum = seg.speaker ? parseInt(seg.speaker.replace('spk', '')) : 1;
-                this.createSegment(seg.start, seg.end, speakerNum, '');
+            // Créer les segments dans l'interface (spkN = N-ième piste affichée).
+            // Rien n'est modifié avant ce point : une analyse annulée laisse le projet intact.
+            this.performEdit('Auto-segmentation', () => {
+                segments.forEach(seg => {
+                    const index = seg.speaker ? parseInt(seg.speaker.replace('spk', '')) - 1 : 0;
+                    while (this.speakerTracks.length <= index) {
+                        this.createSpeakerTrack();
+                    }
+                    this.createSegment(seg.start, seg.end, this.speakerTracks[index].speakerNum, '');
+                });
             });
             
             if (progressBar) progressBar.style.width = '100%';
@@ -1069,91 +5118,42 @@ class OpenTranscriber {
             return segments;
             
         } catch (error) {
-            console.error('Erreur segmentation:', error);
+            if (error.name !== 'AbortError') {
+                console.error('Erreur segmentation:', error);
+            }
             if (progressContainer) progressContainer.style.display = 'none';
             throw error;
+        } finally {
+            this.finishAnalysisJob(job);
         }
     }
     
     async segmentBySilence(params, onProgress) {
-        const channelData = this.audioBuffer.getChannelData(0);
-        const sampleRate = this.audioBuffer.sampleRate;
-        const threshold = params.silenceThreshold;
-        const minDuration = params.minSegmentDuration;
-        const pauseTolerance = params.pauseTolerance / 1000;
-        
-        const segments = [];
-        let inSpeech = false;
-        let segmentStart = 0;
-        let silenceStart = 0;
-        
-        for (let i = 0; i < channelData.length; i++) {
-            const time = i / sampleRate;
-            const amplitude = Math.abs(channelData[i]);
-            
-            if (i % 100000 === 0) {
-                const progress = Math.round((i / channelData.length) * 100);
-                onProgress(progress);
-                await new Promise(resolve => setTimeout(resolve, 0));
-            }
-            
-            if (amplitude > threshold) {
-                if (!inSpeech) {
-                    segmentStart = time;
-                    inSpeech = true;
-                }
-                silenceStart = time;
-            } else {
-                if (inSpeech && (time - silenceStart) > pauseTolerance) {
-                    const duration = silenceStart - segmentStart;
-                    if (duration >= minDuration) {
-                        segments.push({
-                            start: segmentStart,
-                            end: silenceStart,
-                            speaker: 'spk1',
-                            f0: null
-                        });
-                    }
-                    inSpeech = false;
-                }
-            }
-        }
-        
-        // Dernier segment
-        if (inSpeech) {
-            const duration = (channelData.length / sampleRate) - segmentStart;
-            if (duration >= minDuration) {
-                segments.push({
-                    start: segmentStart,
-                    end: channelData.length / sampleRate,
-                    speaker: 'spk1',
-                    f0: null
-                });
-            }
-        }
-        
-        console.log(`✅ ${segments.length} segments détectés par silence`);
-        return segments;
+        return this.runChunkedAnalysis('silence', params, onProgress);
     }
     
     async segmentBySilenceAndF0(params, onProgress) {
         const segments = await this.segmentBySilence(params, (p) => onProgress(p * 0.5));
         
+        const job = this.analysisJob;
         const numSpeakers = params.numSpeakers;
         const f0Min = params.f0Min;
         const f0Max = params.f0Max;
         
-        for (let i = 0; i < segments.length; i++) {
-            const progress = 50 + Math.round((i / segments.length) * 50);
-            onProgress(progress);
-            
-            const f0 = await this.extractF0(segments[i].start, segments[i].end, f0Min, f0Max);
-            segments[i].f0 = f0;
-            
-            if (i % 10 === 0) {
-                await new Promise(resolve => setTimeout(resolve, 0));
+        // Segments indépendants : répartis entre plusieurs workers
+        const lanes = Math.max(1, Math.min(this.maxAnalysisWorkers, segments.length));
+        let next = 0;
+        let done = 0;
+        
+        await Promise.all(Array.from({ length: lanes }, async (_, lane) => {
+            while (next < segments.length) {
+                const segment = segments[next++];
+                await this.checkAnalysisJob(job);
+                segment.f0 = await this.extractF0(segment.start, segment.end, f0Min, f0Max, lane);
+                done++;
+                onProgress(50 + Math.round((done / segments.length) * 50));
             }
-        }
+        }));
         
         const f0Values = segments.map(s => s.f0).filter(f0 => f0 !== null);
         if (f0Values.length > 0) {
@@ -1173,57 +5173,8 @@ class OpenTranscriber {
     async segmentByVADClustering(params, onProgress) {
         onProgress(10);
         
-        const channelData = this.audioBuffer.getChannelData(0);
-        const sampleRate = this.audioBuffer.sampleRate;
-        const frameSize = Math.floor(sampleRate * 0.025);
-        const hopSize = Math.floor(sampleRate * 0.010);
-        
-        const features = [];
-        
-        for (let i = 0; i < channelData.length - frameSize; i += hopSize) {
-            const frame = channelData.slice(i, i + frameSize);
-            const energy = this.calculateEnergy(frame);
-            const zcr = this.calculateZCR(frame);
-            const spectralCentroid = this.calculateSpectralCentroid(frame, sampleRate);
-            
-            features.push({
-                time: i / sampleRate,
-                energy,
-                zcr,
-                spectralCentroid,
-                isVoiced: energy > 0.01
-            });
-            
-            if (i % 10000 === 0) {
-                const progress = 10 + Math.round((i / channelData.length) * 40);
-                onProgress(progress);
-                await new Promise(resolve => setTimeout(resolve, 0));
-            }
-        }
-        
-        onProgress(50);
-        
-        const segments = [];
-        let currentSegment = null;
-        
-        features.forEach(feat => {
-            if (feat.isVoiced) {
-                if (!currentSegment) {
-                    currentSegment = { start: feat.time, features: [] };
-                }
-                currentSegment.features.push(feat);
-            } else {
-                if (currentSegment && currentSegment.features.length > 10) {
-                    const lastFeat = currentSegment.features[currentSegment.features.length - 1];
-                    segments.push({
-                        start: currentSegment.start,
-                        end: lastFeat.time,
-                        speaker: 'spk1',
-                        f0: null
-                    });
-                }
-                currentSegment = null;
-            }
+        const segments = await this.runChunkedAnalysis('vad', params, (progress) => {
+            onProgress(10 + Math.round(progress * 0.9));
         });
         
         onProgress(100);
@@ -1236,34 +5187,39 @@ class OpenTranscriber {
     
     // Fonctions utilitaires pour l'analyse audio
     
-    async extractF0(startTime, endTime, f0Min, f0Max) {
-        const startSample = Math.floor(startTime * this.audioBuffer.sampleRate);
-        const endSample = Math.floor(endTime * this.audioBuffer.sampleRate);
-        const segment = this.audioBuffer.getChannelData(0).slice(startSample, endSample);
-        
-        if (segment.length < 400) return null;
-        
-        const maxLag = Math.floor(this.audioBuffer.sampleRate / f0Min);
-        const minLag = Math.floor(this.audioBuffer.sampleRate / f0Max);
+    /**
+     * Stream the first channel to the job's worker running `analysis`
+     * ('silence' or 'vad', see analysisWorker). Each chunk is copied and
+     * transferred; the next one is read once the worker is done with it.
+     * @returns {Promise<Array>} Segments found by the worker
+     */
+    async runChunkedAnalysis(analysis, params, onProgress) {
+        const job = this.analysisJob;
+        const worker = this.getAnalysisWorker(job);
+        const { sampleRate } = this.getAudioInfo();
         
-        let maxCorr = -Infinity;
-        let bestLag = 0;
+        await this.callWorker(job, worker, { type: 'begin', analysis, params, sampleRate });
         
-        for (let lag = minLag; lag < Math.min(maxLag, segment.length / 2); lag++) {
-            let corr = 0;
-            for (let i = 0; i < segment.length - lag; i++) {
-                corr += segment[i] * segment[i + lag];
-            }
-            if (corr > maxCorr) {
-                maxCorr = corr;
-                bestLag = lag;
-            }
-        }
+        await this.forEachAudioChunk(async (data, offset) => {
+            await this.checkAnalysisJob(job);
+            const chunk = data.slice();
+            await this.callWorker(job, worker, { type: 'chunk', data: chunk, offset }, [chunk.buffer]);
+        }, onProgress);
         
-        if (bestLag > 0) {
-            return this.audioBuffer.sampleRate / bestLag;
-        }
-        return null;
+        const { segments } = await this.callWorker(job, worker, { type: 'end' });
+        console.log(`✅ ${segments.length} segments détectés (${analysis})`);
+        return segments;
+    }
+    
+    async extractF0(startTime, endTime, f0Min, f0Max, lane = 0) {
+        const job = this.analysisJob;
+        const { sampleRate } = this.getAudioInfo();
+        const segment = (await this.readAudio(startTime, endTime)).slice();
+        
+        const { f0 } = await this.callWorker(job, this.getAnalysisWorker(job, lane), {
+            type: 'f0', data: segment, sampleRate, f0Min, f0Max
+        }, [segment.buffer]);
+        return f0;
     }
     
     kMeansClustering(values, k) {
@@ -1316,73 +5272,159 @@ class OpenTranscriber {
         return bestCluster;
     }
     
-    calculateEnergy(frame) {
-        let sum = 0;
-        for (let i = 0; i < frame.length; i++) {
-            sum += frame[i] * frame[i];
+    async previewSegmentation() {
+        if (this.analysisJob) return;
+        
+        const params = {
+            silenceThreshold: parseFloat(document.getElementById('silenceThreshold').value),
+            minSegmentDuration: parseFloat(document.getElementById('minSegmentDuration').value),
+            pauseTolerance: 300
+        };
+        const progressContainer = document.getElementById('segmentationProgress');
+        const progressBar = document.getElementById('segmentationProgressFill');
+        const progressText = document.getElementById('segmentationProgressText');
+        
+        const job = this.startAnalysisJob();
+        progressContainer.style.display = 'block';
+        
+        try {
+            const segments = await this.segmentBySilence(params, (progress) => {
+                progressBar.style.width = progress + '%';
+                progressText.textContent = `Preview... ${progress}%`;
+            });
+            document.getElementById('previewResults').style.display = 'block';
+            document.getElementById('previewSegmentCount').textContent = segments.length;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Preview error:', error);
+                this.showToast('Preview error', 'danger');
+            }
+        } finally {
+            this.finishAnalysisJob(job);
+            progressContainer.style.display = 'none';
         }
-        return sum / frame.length;
     }
     
-    calculateZCR(frame) {
-        let count = 0;
-        for (let i = 1; i < frame.length; i++) {
-            if ((frame[i] >= 0 && frame[i - 1] < 0) || (frame[i] < 0 && frame[i - 1] >= 0)) {
-                count++;
+    // ========================================================================
+    // ANALYSE EN ARRIÈRE-PLAN (Web Workers)
+    // ========================================================================
+    
+    /**
+     * Start an analysis job. Workers are created on demand (one per lane)
+     * and terminated when the job finishes or is cancelled.
+     */
+    startAnalysisJob() {
+        this.analysisJob = { workers: [], pending: new Map(), nextId: 0, paused: false, waiters: [], cancelled: false };
+        this.setAnalysisControls(true);
+        return this.analysisJob;
+    }
+    
+    finishAnalysisJob(job) {
+        job.workers.forEach(worker => worker.terminate());
+        if (this.analysisJob === job) {
+            this.analysisJob = null;
+            this.setAnalysisControls(false);
+        }
+    }
+    
+    getAnalysisWorker(job, lane = 0) {
+        if (!job.workers[lane]) {
+            // Source sérialisée : fonctionne aussi en file:// (pas de fichier worker séparé)
+            if (!this.analysisWorkerUrl) {
+                this.analysisWorkerUrl = URL.createObjectURL(
+                    new Blob([`(${analysisWorker.toString()})();`], { type: 'text/javascript' }));
             }
+            
+            const worker = new Worker(this.analysisWorkerUrl);
+            worker.onmessage = (e) => {
+                const { id, error, ...result } = e.data;
+                const request = job.pending.get(id);
+                if (!request) return;
+                job.pending.delete(id);
+                if (error) {
+                    request.reject(new Error(error));
+                } else {
+                    request.resolve(result);
+                }
+            };
+            worker.onerror = (e) => {
+                e.preventDefault();
+                job.pending.forEach(request => request.reject(new Error(e.message)));
+                job.pending.clear();
+            };
+            job.workers[lane] = worker;
         }
-        return count / frame.length;
+        return job.workers[lane];
     }
     
-    calculateSpectralCentroid(frame, sampleRate) {
-        let weightedSum = 0;
-        let sum = 0;
-        
-        for (let i = 0; i < frame.length; i++) {
-            const magnitude = Math.abs(frame[i]);
-            const freq = (i * sampleRate) / frame.length;
-            weightedSum += freq * magnitude;
-            sum += magnitude;
+    /**
+     * Post a message and resolve with the worker's reply (buffers in
+     * `transfer` are moved to the worker and unusable here afterwards)
+     */
+    callWorker(job, worker, message, transfer = []) {
+        if (job.cancelled) {
+            return Promise.reject(new DOMException('Analysis cancelled', 'AbortError'));
         }
-        
-        return sum > 0 ? weightedSum / sum : 0;
+        return new Promise((resolve, reject) => {
+            const id = ++job.nextId;
+            job.pending.set(id, { resolve, reject });
+            worker.postMessage({ id, ...message }, transfer);
+        });
     }
     
-    previewSegmentation() {
-        const threshold = parseFloat(document.getElementById('silenceThreshold').value);
-        const minDuration = parseFloat(document.getElementById('minSegmentDuration').value);
-        
-        const channelData = this.audioBuffer.getChannelData(0);
-        const sampleRate = this.audioBuffer.sampleRate;
+    /**
+     * Called between chunks and segments (by every F0 lane): wait while
+     * paused, throw an AbortError once cancelled
+     */
+    async checkAnalysisJob(job) {
+        while (job.paused && !job.cancelled) {
+            await new Promise(resolve => job.waiters.push(resolve));
+        }
+        if (job.cancelled) {
+            throw new DOMException('Analysis cancelled', 'AbortError');
+        }
+    }
+    
+    toggleAnalysisPause() {
+        const job = this.analysisJob;
+        if (!job) return;
         
-        let count = 0;
-        let inSpeech = false;
-        let segmentStart = 0;
-        let silenceStart = 0;
+        job.paused = !job.paused;
+        document.getElementById('pauseSegBtn').textContent = job.paused ? '▶ Resume' : '⏸ Pause';
         
-        for (let i = 0; i < channelData.length; i++) {
-            const amplitude = Math.abs(channelData[i]);
-            const time = i / sampleRate;
-            
-            if (amplitude > threshold) {
-                if (!inSpeech) {
-                    segmentStart = time;
-                    inSpeech = true;
-                }
-                silenceStart = time;
-            } else {
-                if (inSpeech && (time - silenceStart) > 0.3) {
-                    const duration = silenceStart - segmentStart;
-                    if (duration >= minDuration) {
-                        count++;
-                    }
-                    inSpeech = false;
-                }
-            }
+        if (job.paused) {
+            document.getElementById('segmentationProgressText').textContent = '⏸ Paused';
+        } else {
+            this.wakeAnalysisLanes(job);
         }
-        
-        document.getElementById('previewResults').style.display = 'block';
-        document.getElementById('previewSegmentCount').textContent = count;
+    }
+    
+    wakeAnalysisLanes(job) {
+        const waiters = job.waiters;
+        job.waiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+    
+    /**
+     * Stop the running analysis: workers are terminated and nothing is
+     * written to the project (segments are only created once analysis ends)
+     */
+    cancelAnalysis() {
+        const job = this.analysisJob;
+        if (!job) return;
+        
+        job.cancelled = true;
+        job.workers.forEach(worker => worker.terminate());
+        job.pending.forEach(request => request.reject(new DOMException('Analysis cancelled', 'AbortError')));
+        job.pending.clear();
+        this.wakeAnalysisLanes(job);
+    }
+    
+    setAnalysisControls(running) {
+        document.getElementById('applySegBtn').disabled = running;
+        document.getElementById('previewSegBtn').disabled = running;
+        document.getElementById('analysisControls').style.display = running ? 'flex' : 'none';
+        document.getElementById('pauseSegBtn').textContent = '⏸ Pause';
     }
     
     // ========================================================================
@@ -1396,9 +5438,24 @@ class OpenTranscriber {
         document.getElementById('exportSegmentCount').textContent = total;
         document.getElementById('exportTranscribedCount').textContent = transcribed;
         
+        this.updateExportOptions();
         document.getElementById('exportModal').classList.add('active');
     }
     
+    /**
+     * Show only the option block matching the selected export format
+     */
+    updateExportOptions() {
+        const format = document.getElementById('exportFormat').value;
+        document.querySelectorAll('.export-options').forEach(el => {
+            el.style.display = el.dataset.format === format ? 'block' : 'none';
+        });
+        
+        if (format === 'chat') {
+            this.renderChatOptions();
+        }
+    }
+    
     closeExportModal() {
         document.getElementById('exportModal').classList.remove('active');
     }
@@ -1413,6 +5470,9 @@ class OpenTranscriber {
             case 'srt':
                 this.exportSRT();
                 break;
+            case 'vtt':
+                this.exportVTT();
+                break;
             case 'textgrid':
                 this.exportTextGrid();
                 break;
@@ -1422,11 +5482,51 @@ class OpenTranscriber {
             case 'csv':
                 this.exportCSV();
                 break;
+            case 'trs':
+                this.exportTRS();
+                break;
+            case 'chat':
+                this.exportCHAT();
+                break;
+            case 'tei':
+                this.exportTEI();
+                break;
+            case 'exb':
+                this.exportEXB();
+                break;
+            case 'rttm':
+                this.exportRTTM();
+                break;
         }
         
         this.closeExportModal();
     }
     
+    /**
+     * Deduplicated, sorted time slots (in ms) for all segment boundaries
+     * @param {string} prefix - Slot id prefix
+     * @returns {{slots: Array<{id: string, time: number}>, slotMap: Object<number, string>}}
+     *          slotMap is keyed by Math.floor(seconds * 1000)
+     */
+    buildTimeSlots(prefix) {
+        const timeSlots = new Set();
+        this.segments.forEach(s => {
+            timeSlots.add(Math.floor(s.start * 1000));
+            timeSlots.add(Math.floor(s.end * 1000));
+        });
+        
+        const slotMap = {};
+        const slots = Array.from(timeSlots)
+            .sort((a, b) => a - b)
+            .map((time, idx) => {
+                const id = `${prefix}${idx + 1}`;
+                slotMap[time] = id;
+                return { id, time };
+            });
+        
+        return { slots, slotMap };
+    }
+    
     exportEAF() {
         let xml = `<?xml version="1.0" encoding="UTF-8"?>
 <ANNOTATION_DOCUMENT AUTHOR="OpenTranscriber" DATE="${new Date().toISOString()}" FORMAT="3.0" VERSION="3.0">
@@ -1435,25 +5535,16 @@ class OpenTranscriber {
     </HEADER>
     <TIME_ORDER>\n`;
         
-        const timeSlots = new Set();
-        this.segments.forEach(s => {
-            timeSlots.add(Math.floor(s.start * 1000));
-            timeSlots.add(Math.floor(s.end * 1000));
-        });
-        
-        const sortedSlots = Array.from(timeSlots).sort((a, b) => a - b);
-        const slotMap = {};
+        const { slots, slotMap } = this.buildTimeSlots('ts');
         
-        sortedSlots.forEach((time, idx) => {
-            const slotId = `ts${idx + 1}`;
-            xml += `        <TIME_SLOT TIME_SLOT_ID="${slotId}" TIME_VALUE="${time}"/>\n`;
-            slotMap[time] = slotId;
+        slots.forEach(slot => {
+            xml += `        <TIME_SLOT TIME_SLOT_ID="${slot.id}" TIME_VALUE="${slot.time}"/>\n`;
         });
         
         xml += `    </TIME_ORDER>\n`;
         
         this.speakerTracks.forEach(track => {
-            xml += `    <TIER LINGUISTIC_TYPE_REF="default-lt" TIER_ID="${track.name}">\n`;
+            xml += `    <TIER LINGUISTIC_TYPE_REF="default-lt" TIER_ID="${this.escapeXml(track.name)}">\n`;
             
             const segs = this.segments
                 .filter(s => s.speaker === track.speakerNum)
@@ -1479,6 +5570,145 @@ class OpenTranscriber {
         this.downloadFile('transcription.eaf', xml, 'text/xml');
     }
     
+    /**
+     * Export to an EXMARaLDA Basic-Transcription: speakertable from the speaker
+     * tracks, common-timeline from the segment boundaries, one "t" tier per speaker
+     */
+    exportEXB() {
+        const baseName = this.audioFileName ? this.audioFileName.replace(/\.[^/.]+$/, '') : 'transcription';
+        const { slots, slotMap } = this.buildTimeSlots('T');
+        
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<basic-transcription>
+    <head>
+        <meta-information>
+            <project-name/>
+            <transcription-name>${this.escapeXml(baseName)}</transcription-name>
+            <referenced-file url="${this.escapeXml(this.audioFileName || '')}"/>
+            <ud-meta-information/>
+            <comment>Exported from OpenTranscriber</comment>
+            <transcription-convention/>
+        </meta-information>
+        <speakertable>\n`;
+        
+        this.speakerTracks.forEach(track => {
+            xml += `            <speaker id="SPK${track.speakerNum}">
+                <abbreviation>${this.escapeXml(track.name)}</abbreviation>
+                <sex value="u"/>
+                <languages-used/>
+                <l1/>
+                <l2/>
+                <ud-speaker-information/>
+                <comment/>
+            </speaker>\n`;
+        });
+        
+        xml += `        </speakertable>
+    </head>
+    <basic-body>
+        <common-timeline>\n`;
+        
+        slots.forEach(slot => {
+            xml += `            <tli id="${slot.id}" time="${slot.time / 1000}"/>\n`;
+        });
+        
+        xml += `        </common-timeline>\n`;
+        
+        this.speakerTracks.forEach(track => {
+            xml += `        <tier id="TIE${track.speakerNum}" speaker="SPK${track.speakerNum}" category="v" type="t" display-name="${this.escapeXml(track.name)} [v]">\n`;
+            
+            this.segments
+                .filter(s => s.speaker === track.speakerNum)
+                .sort((a, b) => a.start - b.start)
+                .forEach(s => {
+                    const startSlot = slotMap[Math.floor(s.start * 1000)];
+                    const endSlot = slotMap[Math.floor(s.end * 1000)];
+                    xml += `            <event start="${startSlot}" end="${endSlot}">${this.escapeXml(s.transcription || '')}</event>\n`;
+                });
+            
+            xml += `        </tier>\n`;
+        });
+        
+        xml += `    </basic-body>
+</basic-transcription>`;
+        
+        this.downloadFile(`${baseName}.exb`, xml, 'text/xml');
+    }
+    
+    /**
+     * Export to TEI following ISO 24624:2016 (transcription of spoken language):
+     * particDesc from the speaker tracks, a timeline from the segment boundaries
+     * and one annotationBlock per segment
+     */
+    exportTEI() {
+        const baseName = this.audioFileName ? this.audioFileName.replace(/\.[^/.]+$/, '') : 'transcription';
+        const personId = (speakerNum) => `SPK${speakerNum}`;
+        const { slots, slotMap } = this.buildTimeSlots('T');
+        
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<TEI xmlns="http://www.tei-c.org/ns/1.0">
+    <teiHeader>
+        <fileDesc>
+            <titleStmt>
+                <title>${this.escapeXml(baseName)}</title>
+            </titleStmt>
+            <publicationStmt>
+                <p>Exported from OpenTranscriber on ${new Date().toISOString()}</p>
+            </publicationStmt>
+            <sourceDesc>
+                <recordingStmt>
+                    <recording type="audio">
+                        <media mimeType="${this.escapeXml(this.audioFile?.type || 'audio/*')}" url="${this.escapeXml(this.audioFileName || '')}"/>
+                    </recording>
+                </recordingStmt>
+            </sourceDesc>
+        </fileDesc>
+        <encodingDesc>
+            <appInfo>
+                <application ident="OpenTranscriber" version="7.0">
+                    <label>OpenTranscriber</label>
+                </application>
+            </appInfo>
+        </encodingDesc>
+        <profileDesc>
+            <particDesc>\n`;
+        
+        this.speakerTracks.forEach(track => {
+            xml += `                <person xml:id="${personId(track.speakerNum)}" n="${personId(track.speakerNum)}">
+                    <persName>${this.escapeXml(track.name)}</persName>
+                </person>\n`;
+        });
+        
+        xml += `            </particDesc>
+        </profileDesc>
+    </teiHeader>
+    <text>
+        <timeline unit="s" origin="#T0">
+            <when xml:id="T0"/>\n`;
+        
+        slots.forEach(slot => {
+            xml += `            <when xml:id="${slot.id}" interval="${slot.time / 1000}" since="#T0"/>\n`;
+        });
+        
+        xml += `        </timeline>
+        <body>\n`;
+        
+        [...this.segments].sort((a, b) => a.start - b.start).forEach(s => {
+            const startSlot = slotMap[Math.floor(s.start * 1000)];
+            const endSlot = slotMap[Math.floor(s.end * 1000)];
+            
+            xml += `            <annotationBlock who="#${personId(s.speaker)}" start="#${startSlot}" end="#${endSlot}">
+                <u>${this.escapeXml(s.transcription || '')}</u>
+            </annotationBlock>\n`;
+        });
+        
+        xml += `        </body>
+    </text>
+</TEI>`;
+        
+        this.downloadFile(`${baseName}.tei.xml`, xml, 'text/xml');
+    }
+    
     exportSRT() {
         let srt = '';
         const sortedSegs = [...this.segments].sort((a, b) => a.start - b.start);
@@ -1489,7 +5719,30 @@ class OpenTranscriber {
             srt += `${seg.transcription || ''}\n\n`;
         });
         
-        this.downloadFile('transcription.srt', srt, 'text/plain');
+        this.downloadFile('transcription.srt', srt, 'text/plain');
+    }
+    
+    /**
+     * Export to WebVTT with a <v> voice span per cue and the cue settings
+     * typed in the export modal (e.g. "line:85% align:center")
+     */
+    exportVTT() {
+        const settings = (document.getElementById('vttCueSettings')?.value || '').trim();
+        const escapeCue = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const sortedSegs = [...this.segments].sort((a, b) => a.start - b.start);
+        
+        let vtt = 'WEBVTT\n\n';
+        
+        sortedSegs.forEach((seg, idx) => {
+            const track = this.speakerTracks.find(t => t.speakerNum === seg.speaker);
+            const voice = track ? track.name.replace(/[<>&]/g, '') : `Speaker ${seg.speaker}`;
+            
+            vtt += `${idx + 1}\n`;
+            vtt += `${this.formatVTTTime(seg.start)} --> ${this.formatVTTTime(seg.end)}${settings ? ' ' + settings : ''}\n`;
+            vtt += `<v ${voice}>${escapeCue(seg.transcription || '')}\n\n`;
+        });
+        
+        this.downloadFile('transcription.vtt', vtt, 'text/vtt');
     }
     
     exportTextGrid() {
@@ -1513,13 +5766,31 @@ class OpenTranscriber {
                 tg += `        intervals [${i + 1}]:\n`;
                 tg += `            xmin = ${seg.start}\n`;
                 tg += `            xmax = ${seg.end}\n`;
-                tg += `            text = "${seg.transcription || ''}"\n`;
+                tg += `            text = "${(seg.transcription || '').replace(/"/g, '""')}"\n`;
             });
         });
         
         this.downloadFile('transcription.TextGrid', tg, 'text/plain');
     }
     
+    /**
+     * Export speaker turns as RTTM (e.g. for diarisation scoring);
+     * labels and file id cannot contain spaces
+     */
+    exportRTTM() {
+        const baseName = this.audioFileName ? this.audioFileName.replace(/\.[^/.]+$/, '') : 'transcription';
+        const fileId = baseName.replace(/\s+/g, '_');
+        
+        let rttm = '';
+        [...this.segments].sort((a, b) => a.start - b.start).forEach(s => {
+            const track = this.speakerTracks.find(t => t.speakerNum === s.speaker);
+            const label = (track ? track.name : `Speaker ${s.speaker}`).trim().replace(/\s+/g, '_');
+            rttm += `SPEAKER ${fileId} 1 ${s.start.toFixed(3)} ${(s.end - s.start).toFixed(3)} <NA> <NA> ${label} <NA> <NA>\n`;
+        });
+        
+        this.downloadFile(`${baseName}.rttm`, rttm, 'text/plain');
+    }
+    
     exportJSON() {
         const data = {
             audio: this.audioFileName || '',
@@ -1533,7 +5804,8 @@ class OpenTranscriber {
                 start: s.start,
                 end: s.end,
                 speaker: s.speaker,
-                transcription: s.transcription
+                transcription: s.transcription,
+                ...(s.status ? { status: s.status } : {})
             }))
         };
         
@@ -1541,17 +5813,380 @@ class OpenTranscriber {
     }
     
     exportCSV() {
-        let csv = 'ID,Start,End,Duration,Speaker,Transcription\n';
+        let csv = 'ID,Start,End,Duration,Speaker,Transcription,Status\n';
         
         this.segments
             .sort((a, b) => a.start - b.start)
             .forEach(s => {
-                csv += `${s.id},${s.start.toFixed(3)},${s.end.toFixed(3)},${(s.end - s.start).toFixed(3)},${s.speaker},"${(s.transcription || '').replace(/"/g, '""')}"\n`;
+                csv += `${s.id},${s.start.toFixed(3)},${s.end.toFixed(3)},${(s.end - s.start).toFixed(3)},${s.speaker},"${(s.transcription || '').replace(/"/g, '""')}","${(s.status || '').replace(/"/g, '""')}"\n`;
             });
         
         this.downloadFile('transcription.csv', csv, 'text/csv');
     }
     
+    // ------------------------------------------------------------------------
+    // CHAT (CHILDES / TalkBank)
+    // ------------------------------------------------------------------------
+    
+    /**
+     * Speaker codes and roles used in @Participants, kept on each track so
+     * that edits in the export modal persist between exports
+     * @returns {Array<{track: SpeakerTrack, code: string, role: string}>}
+     */
+    getChatParticipants() {
+        // Codes already set (or typed in the modal) win over generated ones
+        const used = new Set(this.speakerTracks.map(t => t.chatCode).filter(Boolean));
+        
+        return this.speakerTracks.map(track => {
+            if (!track.chatCode) {
+                track.chatCode = this.generateChatCode(track, used);
+                used.add(track.chatCode);
+            }
+            
+            return { track, code: track.chatCode, role: track.chatRole || 'Participant' };
+        });
+    }
+    
+    /**
+     * Three-character code from the speaker name (SPn for default names),
+     * completed with a digit or letter until it is not in `used`
+     */
+    generateChatCode(track, used) {
+        const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        const letters = track.name.replace(/[^A-Za-z]/g, '').toUpperCase();
+        const generic = letters.length < 3 || /^Speaker \d+$/.test(track.name);
+        const prefix = generic ? 'SP' : letters.slice(0, 2);
+        
+        const candidates = [generic ? `SP${track.speakerNum}` : letters.slice(0, 3)];
+        for (const c of chars) candidates.push(prefix + c);
+        for (const a of chars) {
+            for (const b of chars) candidates.push(prefix[0] + a + b);
+        }
+        return candidates.find(code => code.length === 3 && !used.has(code));
+    }
+    
+    renderChatOptions() {
+        const container = document.getElementById('chatParticipants');
+        const roles = ['Participant', 'Target_Child', 'Child', 'Mother', 'Father', 'Adult', 'Investigator', 'Teacher', 'Unidentified'];
+        container.innerHTML = '';
+        
+        this.getChatParticipants().forEach(({ track, code, role }) => {
+            const row = document.createElement('div');
+            row.className = 'chat-participant';
+            
+            const name = document.createElement('span');
+            name.textContent = track.name;
+            
+            const codeInput = document.createElement('input');
+            codeInput.type = 'text';
+            codeInput.maxLength = 3;
+            codeInput.value = code;
+            codeInput.addEventListener('input', () => {
+                // Un code déjà pris n'est pas retenu : le locuteur garde le précédent
+                const value = codeInput.value.toUpperCase();
+                const taken = this.speakerTracks.some(t => t !== track && t.chatCode === value);
+                codeInput.classList.toggle('invalid', taken);
+                codeInput.title = taken ? `${value} is already used by another speaker` : '';
+                if (!taken) {
+                    track.chatCode = value;
+                }
+                this.renderChatViolations();
+            });
+            codeInput.addEventListener('change', () => {
+                if (codeInput.classList.contains('invalid')) {
+                    this.showToast(`Speaker code ${codeInput.value.toUpperCase()} is already used, keeping ${track.chatCode}`, 'info');
+                    codeInput.value = track.chatCode;
+                    codeInput.classList.remove('invalid');
+                    codeInput.title = '';
+                }
+            });
+            
+            const roleSelect = document.createElement('select');
+            roles.forEach(r => {
+                const option = document.createElement('option');
+                option.value = r;
+                option.textContent = r;
+                roleSelect.appendChild(option);
+            });
+            roleSelect.value = role;
+            roleSelect.addEventListener('change', () => {
+                track.chatRole = roleSelect.value;
+            });
+            
+            row.appendChild(name);
+            row.appendChild(codeInput);
+            row.appendChild(roleSelect);
+            container.appendChild(row);
+        });
+        
+        this.renderChatViolations();
+    }
+    
+    renderChatViolations() {
+        const list = document.getElementById('chatViolations');
+        const violations = this.validateCHAT(this.getChatParticipants());
+        list.innerHTML = '';
+        
+        document.getElementById('chatViolationCount').textContent = violations.length;
+        
+        violations.forEach(v => {
+            const item = document.createElement('li');
+            item.textContent = v.segment
+                ? `${this.formatTime(v.segment.start)} — ${v.message}`
+                : v.message;
+            
+            if (v.segment) {
+                item.className = 'clickable';
+                item.addEventListener('click', () => {
+                    this.closeExportModal();
+                    this.selectSegment(v.segment);
+                    this.masterWave.setTime(v.segment.start);
+                });
+            }
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Check speaker codes and main tiers against basic CHAT rules
+     * @returns {Array<{segment: Object|null, message: string}>}
+     */
+    validateCHAT(participants) {
+        const violations = [];
+        const terminator = /(\+\.\.\.|\+\.\.\?|\+!\?|\+\/\/\.|\+\/\/\?|\+\/\.|\+\/\?|\+"\/\.|\+"\.|\+\.|[.?!])$/;
+        const seen = new Set();
+        
+        participants.forEach(({ track, code }) => {
+            if (!/^[A-Z0-9]{3}$/.test(code)) {
+                violations.push({ segment: null, message: `${track.name}: speaker code "${code}" must be three letters or digits` });
+            } else if (seen.has(code)) {
+                violations.push({ segment: null, message: `${track.name}: speaker code "${code}" is already used` });
+            }
+            seen.add(code);
+        });
+        
+        [...this.segments].sort((a, b) => a.start - b.start).forEach(seg => {
+            const text = (seg.transcription || '').trim();
+            
+            if (!text) {
+                violations.push({ segment: seg, message: 'empty utterance (written as "www .")' });
+                return;
+            }
+            if (!terminator.test(text)) {
+                violations.push({ segment: seg, message: `missing utterance terminator: "${text}"` });
+            }
+            [['[', ']'], ['<', '>'], ['(', ')']].forEach(([open, close]) => {
+                if (text.split(open).length !== text.split(close).length) {
+                    violations.push({ segment: seg, message: `unbalanced ${open}${close}: "${text}"` });
+                }
+            });
+        });
+        
+        return violations;
+    }
+    
+    /**
+     * Export to CHAT (.cha) for CLAN: one main tier per segment followed by its
+     * time bullet (written with the U+0015 delimiter CLAN displays as •)
+     */
+    exportCHAT() {
+        const participants = this.getChatParticipants();
+        const language = (document.getElementById('chatLanguage')?.value || 'fra').trim();
+        const baseName = this.audioFileName ? this.audioFileName.replace(/\.[^/.]+$/, '') : 'transcription';
+        const corpus = baseName.replace(/[^A-Za-z0-9_-]/g, '_');
+        const bullet = '\u0015';
+        
+        const violations = this.validateCHAT(participants);
+        if (violations.length > 0) {
+            console.warn(`⚠️ CHAT export: ${violations.length} rule violation(s)`, violations.map(v => v.message));
+        }
+        
+        let cha = '@UTF8\n@Begin\n';
+        cha += `@Languages:\t${language}\n`;
+        cha += `@Participants:\t${participants
+            .map(p => `${p.code} ${p.track.name.trim().replace(/\s+/g, '_')} ${p.role}`)
+            .join(', ')}\n`;
+        participants.forEach(p => {
+            cha += `@ID:\t${language}|${corpus}|${p.code}|||||${p.role}|||\n`;
+        });
+        if (this.audioFileName) {
+            cha += `@Media:\t${baseName}, audio\n`;
+        }
+        
+        [...this.segments].sort((a, b) => a.start - b.start).forEach(seg => {
+            const participant = participants.find(p => p.track.speakerNum === seg.speaker);
+            const code = participant ? participant.code : `SP${seg.speaker}`;
+            const text = (seg.transcription || '').replace(/\s+/g, ' ').trim() || 'www .';
+            cha += `*${code}:\t${text} ${bullet}${Math.round(seg.start * 1000)}_${Math.round(seg.end * 1000)}${bullet}\n`;
+        });
+        
+        cha += '@End\n';
+        
+        this.downloadFile(`${baseName}.cha`, cha, 'text/plain');
+        
+        if (violations.length > 0) {
+            this.showToast(`CHAT exported with ${violations.length} rule violation(s)`, 'info');
+        }
+    }
+    
+    /**
+     * Export to Transcriber .trs.
+     * Non-overlapping segments become one Turn each, gaps become speakerless
+     * turns, and overlapping segments are grouped into a single multi-speaker
+     * Turn using <Who nb="n"/>, with a Sync at every segment boundary.
+     */
+    exportTRS() {
+        const duration = this.masterWave?.getDuration() || 0;
+        const round = (t) => Number(t.toFixed(3));
+        const trsId = (speakerNum) => `spk${speakerNum}`;
+        const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+        const baseName = this.audioFileName ? this.audioFileName.replace(/\.[^/.]+$/, '') : '';
+        
+        // Group overlapping segments into clusters
+        const sorted = [...this.segments].sort((a, b) => a.start - b.start);
+        const clusters = [];
+        sorted.forEach(seg => {
+            const last = clusters[clusters.length - 1];
+            if (last && seg.start < last.end) {
+                last.segments.push(seg);
+                last.end = Math.max(last.end, seg.end);
+            } else {
+                clusters.push({ start: seg.start, end: seg.end, segments: [seg] });
+            }
+        });
+        
+        const sectionEnd = round(Math.max(duration, clusters.length ? clusters[clusters.length - 1].end : 0));
+        
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE Trans SYSTEM "trans-14.dtd">
+<Trans scribe="OpenTranscriber" audio_filename="${this.escapeXml(baseName)}" version="1" version_date="${date}">
+<Speakers>\n`;
+        
+        this.speakerTracks.forEach(track => {
+            xml += `<Speaker id="${trsId(track.speakerNum)}" name="${this.escapeXml(track.name)}" check="no" dialect="native" accent="" scope="local"/>\n`;
+        });
+        
+        xml += `</Speakers>
+<Episode>
+<Section type="report" startTime="0" endTime="${sectionEnd}">\n`;
+        
+        const emptyTurn = (start, end) => `<Turn startTime="${round(start)}" endTime="${round(end)}">\n<Sync time="${round(start)}"/>\n</Turn>\n`;
+        let cursor = 0;
+        
+        clusters.forEach(cluster => {
+            if (cluster.start > cursor) {
+                xml += emptyTurn(cursor, cluster.start);
+            }
+            
+            const speakerNums = [...new Set(cluster.segments.map(s => s.speaker))];
+            xml += `<Turn speaker="${speakerNums.map(trsId).join(' ')}" startTime="${round(cluster.start)}" endTime="${round(cluster.end)}">\n`;
+            
+            if (speakerNums.length === 1) {
+                cluster.segments.forEach(seg => {
+                    xml += `<Sync time="${round(seg.start)}"/>\n`;
+                    xml += `${this.trsMarkupToXml(seg.transcription || '')}\n`;
+                });
+            } else {
+                // Un Sync par frontière de segment : le texte va dans l'intervalle où
+                // il commence, puis un <Who> vide le prolonge tant que le segment dure
+                const times = [...new Set(cluster.segments.flatMap(s => [round(s.start), round(s.end)]))]
+                    .filter(time => time < round(cluster.end))
+                    .sort((a, b) => a - b);
+                times.forEach(time => {
+                    xml += `<Sync time="${time}"/>\n`;
+                    speakerNums.forEach((speakerNum, idx) => {
+                        const text = cluster.segments
+                            .filter(s => s.speaker === speakerNum && round(s.start) === time)
+                            .map(s => s.transcription || '')
+                            .join(' ');
+                        if (text) {
+                            xml += `<Who nb="${idx + 1}"/>\n${this.trsMarkupToXml(text)}\n`;
+                        } else if (cluster.segments.some(s => s.speaker === speakerNum &&
+                            round(s.start) < time && round(s.end) > time)) {
+                            xml += `<Who nb="${idx + 1}"/>\n`;
+                        }
+                    });
+                });
+            }
+            
+            xml += `</Turn>\n`;
+            cursor = cluster.end;
+        });
+        
+        if (sectionEnd > cursor) {
+            xml += emptyTurn(cursor, sectionEnd);
+        }
+        
+        xml += `</Section>
+</Episode>
+</Trans>\n`;
+        
+        this.checkTRSRoundTrip(xml);
+        this.downloadFile('transcription.trs', xml, 'text/xml');
+    }
+    
+    /**
+     * Read the exported TRS back and report segments it cannot restore
+     * (e.g. empty or same-speaker overlapping segments)
+     */
+    checkTRSRoundTrip(xml) {
+        const round = (t) => Number(t.toFixed(3));
+        const key = (speaker, start, end) => `${speaker}|${round(start)}|${round(end)}`;
+        
+        const restored = new Set(this.parseTRS(xml).segments.map(s => key(s.speaker, s.start, s.end)));
+        const lost = this.segments.filter(seg => {
+            const speaker = this.speakerTracks.findIndex(t => t.speakerNum === seg.speaker) + 1;
+            return !restored.has(key(speaker, seg.start, seg.end));
+        });
+        
+        if (lost.length > 0) {
+            console.warn(`⚠️ TRS export: ${lost.length} segment(s) will not read back unchanged`, lost);
+            this.showToast(`TRS exported: ${lost.length} overlapping segment(s) cannot be stored exactly`, 'info');
+        }
+    }
+    
+    /**
+     * Turn [event] and {comment} markup back into Transcriber elements
+     * (inverse of trsEventToMarkup)
+     */
+    trsMarkupToXml(text) {
+        const types = ['noise', 'lexical', 'pronounce', 'language', 'entities'];
+        let xml = '';
+        let last = 0;
+        const markup = /\[([^\]]*)\]|\{([^}]*)\}/g;
+        let match;
+        
+        while ((match = markup.exec(text)) !== null) {
+            const before = text.slice(last, match.index).trim();
+            if (before) xml += `${this.escapeXml(before)}\n`;
+            last = markup.lastIndex;
+            
+            if (match[2] !== undefined) {
+                xml += `<Comment desc="${this.escapeXml(match[2])}"/>\n`;
+                continue;
+            }
+            
+            let label = match[1];
+            let extent = 'instantaneous';
+            if (label.length > 1 && label.endsWith('-')) { extent = 'begin'; label = label.slice(0, -1); }
+            else if (label.length > 1 && label.startsWith('-')) { extent = 'end'; label = label.slice(1); }
+            else if (label.length > 1 && label.startsWith('<')) { extent = 'previous'; label = label.slice(1); }
+            else if (label.length > 1 && label.endsWith('>')) { extent = 'next'; label = label.slice(0, -1); }
+            
+            let type = 'noise';
+            const eq = label.indexOf('=');
+            if (eq > 0 && types.includes(label.slice(0, eq))) {
+                type = label.slice(0, eq);
+                label = label.slice(eq + 1);
+            }
+            
+            xml += `<Event desc="${this.escapeXml(label)}" type="${type}" extent="${extent}"/>\n`;
+        }
+        
+        xml += this.escapeXml(text.slice(last).trim());
+        return xml.replace(/\n$/, '');
+    }
+    
     // ========================================================================
     // EVENT LISTENERS
     // ========================================================================
@@ -1572,7 +6207,8 @@ class OpenTranscriber {
         
         document.getElementById('importFileInput').addEventListener('change', (e) => {
             if (e.target.files[0]) {
-                this.importProject(e.target.files[0]);
+                this.importFile(e.target.files[0]);
+                e.target.value = '';
             }
         });
         
@@ -1581,6 +6217,92 @@ class OpenTranscriber {
             this.saveProject();
         });
         
+        document.getElementById('savePackageBtn').addEventListener('click', () => {
+            this.saveProjectPackage();
+        });
+        
+        // Snapshots
+        document.getElementById('snapshotBtn').addEventListener('click', () => {
+            this.openSnapshotModal();
+        });
+        
+        document.getElementById('takeSnapshotBtn').addEventListener('click', () => {
+            const input = document.getElementById('snapshotName');
+            this.takeSnapshot(input.value.trim());
+            input.value = '';
+        });
+        
+        document.getElementById('snapshotName').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                document.getElementById('takeSnapshotBtn').click();
+            }
+        });
+        
+        document.getElementById('compareSnapshotsBtn').addEventListener('click', () => {
+            this.compareSnapshots();
+        });
+        
+        // Fusion de segments
+        document.getElementById('mergeBtn').addEventListener('click', () => {
+            this.openMergeModal();
+        });
+        
+        document.getElementById('mergeAllBtn').addEventListener('click', () => {
+            const maxGap = parseFloat(document.getElementById('mergeMaxGap').value);
+            if (isNaN(maxGap) || maxGap < 0) {
+                this.showToast('Invalid gap', 'danger');
+                return;
+            }
+            const merged = this.mergeAllByGap(maxGap);
+            this.closeMergeModal();
+            this.showToast(`${merged} segment(s) merged`, merged > 0 ? 'success' : 'info');
+        });
+        
+        document.getElementById('cancelMergeBtn').addEventListener('click', () => {
+            this.closeMergeModal();
+        });
+        
+        // Recherche et remplacement
+        document.getElementById('findBtn').addEventListener('click', () => {
+            this.toggleFindPanel();
+        });
+        
+        document.getElementById('closeFindBtn').addEventListener('click', () => {
+            this.toggleFindPanel();
+        });
+        
+        ['findInput', 'replaceInput', 'findFrom', 'findTo'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.runFind());
+        });
+        
+        ['findRegex', 'findCase', 'findDiacritics', 'findSpeaker'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.runFind());
+        });
+        
+        document.getElementById('findInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.goToMatch(this.findIndex + (e.shiftKey ? -1 : 1));
+            }
+        });
+        
+        document.getElementById('findPrevBtn').addEventListener('click', () => {
+            this.goToMatch(this.findIndex - 1);
+        });
+        
+        document.getElementById('findNextBtn').addEventListener('click', () => {
+            this.goToMatch(this.findIndex + 1);
+        });
+        
+        document.getElementById('replaceOneBtn').addEventListener('click', () => {
+            this.replaceCurrent();
+        });
+        
+        document.getElementById('replaceAllBtn').addEventListener('click', () => {
+            this.replaceAll();
+        });
+        
         // Undo/Redo buttons
         document.getElementById('undoBtn').addEventListener('click', () => {
             this.undo();
@@ -1590,6 +6312,14 @@ class OpenTranscriber {
             this.redo();
         });
         
+        document.getElementById('historyBtn').addEventListener('click', () => {
+            this.toggleHistoryPanel();
+        });
+        
+        document.getElementById('closeHistoryBtn').addEventListener('click', () => {
+            this.toggleHistoryPanel();
+        });
+        
         // Playback controls
         document.getElementById('playBtn').addEventListener('click', () => {
             this.masterWave.playPause();
@@ -1611,77 +6341,186 @@ class OpenTranscriber {
         });
         
         document.getElementById('zoomSlider').addEventListener('input', (e) => {
-            const zoom = parseInt(e.target.value);
-            this.masterWave.zoom(zoom);
-            document.getElementById('zoomValue').textContent = zoom;
+            this.setZoom(parseInt(e.target.value));
+        });
+        
+        // Vue d'ensemble : cliquer ou glisser pour déplacer la fenêtre visible
+        const overview = document.getElementById('overview');
+        overview.addEventListener('pointerdown', (e) => {
+            overview.setPointerCapture(e.pointerId);
+            this.scrollOverviewTo(e);
+        });
+        overview.addEventListener('pointermove', (e) => {
+            if (overview.hasPointerCapture(e.pointerId)) {
+                this.scrollOverviewTo(e);
+            }
+        });
+        
+        window.addEventListener('resize', () => {
+            this.overviewPeaks = null;
+            this.scheduleOverviewRender();
+        });
+        
+        // Audio filters
+        document.getElementById('highpassSlider').addEventListener('input', (e) => {
+            const freq = parseInt(e.target.value);
+            this.setHighpassFrequency(freq);
+            document.getElementById('highpassValue').textContent = `${freq} Hz`;
+        });
+        
+        document.getElementById('lowpassSlider').addEventListener('input', (e) => {
+            const freq = parseInt(e.target.value);
+            this.setLowpassFrequency(freq);
+            document.getElementById('lowpassValue').textContent = freq >= 10000 ? `${Math.round(freq/1000)}k Hz` : `${freq} Hz`;
+        });
+        
+        document.getElementById('resetFiltersBtn').addEventListener('click', () => {
+            this.resetFilters();
+        });
+        
+        // Filtre d'affichage par locuteur
+        document.querySelector('input[name="speakerFilter"][value="all"]').addEventListener('change', () => {
+            this.filterSegmentsBySpeaker('all');
+        });
+        
+        // Locuteurs
+        document.getElementById('addSpeakerBtn').addEventListener('click', () => {
+            this.addSpeaker();
+        });
+        
+        document.getElementById('speakerRemoveConfirmBtn').addEventListener('click', () => {
+            const speakerNum = this.pendingSpeakerRemoval;
+            const target = document.getElementById('speakerReassignTarget').value;
+            this.closeSpeakerRemoveModal();
+            if (speakerNum !== null) {
+                this.removeSpeaker(speakerNum, target ? parseInt(target) : null);
+            }
+        });
+        
+        document.getElementById('speakerRemoveCancelBtn').addEventListener('click', () => {
+            this.closeSpeakerRemoveModal();
+        });
+        
+        // Édition
+        document.getElementById('speakerSelect').addEventListener('change', () => {
+            if (this.selectedSegment) {
+                const newSpeaker = parseInt(document.getElementById('speakerSelect').value);
+                this.setSegmentSpeaker(this.selectedSegment, newSpeaker);
+            }
+        });
+        
+        // Enregistrement au fil de la frappe (fusionné en une entrée d'historique)
+        document.getElementById('transcriptionInput').addEventListener('input', () => {
+            this.saveTranscription(true);
+        });
+        
+        document.getElementById('transcriptionInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.splitSegment();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.saveTranscription();
+                this.goToNextSegment();
+            }
+        });
+        
+        // Lecture du segment
+        document.getElementById('playSegmentBtn').addEventListener('click', () => {
+            this.playSelectedSegment();
+        });
+        
+        // Toggle boucle
+        document.getElementById('loopToggle').addEventListener('change', (e) => {
+            this.loopEnabled = e.target.checked;
+        });
+        
+        // Aimantation
+        document.getElementById('snapToggle').addEventListener('change', (e) => {
+            this.snapEnabled = e.target.checked;
+        });
+        
+        document.getElementById('snapWindow').addEventListener('change', (e) => {
+            const ms = parseFloat(e.target.value);
+            if (!isNaN(ms) && ms > 0) {
+                this.snapWindow = ms / 1000;
+            }
+        });
+        
+        document.getElementById('snapAllBtn').addEventListener('click', () => {
+            this.snapAllSegments();
+        });
+        
+        document.getElementById('splitSegmentBtn').addEventListener('click', () => {
+            this.splitSegment();
+        });
+        
+        // Frontières numériques
+        ['segmentStartInput', 'segmentEndInput'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                if (!this.selectedSegment) return;
+                const start = parseFloat(document.getElementById('segmentStartInput').value);
+                const end = parseFloat(document.getElementById('segmentEndInput').value);
+                if (isNaN(start) || isNaN(end)) {
+                    this.updateEditionPanel();
+                    return;
+                }
+                this.setSegmentBounds(this.selectedSegment, start, end);
+            });
+            
+            document.getElementById(id).addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.target.blur();
+                }
+            });
+        });
+        
+        document.getElementById('segmentStatus').addEventListener('change', (e) => {
+            if (this.selectedSegment) {
+                this.bulkSetStatus(e.target.value.trim());
+            }
         });
         
-        // Audio filters
-        document.getElementById('highpassSlider').addEventListener('input', (e) => {
-            const freq = parseInt(e.target.value);
-            this.setHighpassFrequency(freq);
-            document.getElementById('highpassValue').textContent = `${freq} Hz`;
+        // Opérations sur la sélection multiple
+        document.getElementById('bulkAssignBtn').addEventListener('click', () => {
+            this.bulkAssignSpeaker(parseInt(document.getElementById('bulkSpeakerSelect').value));
         });
         
-        document.getElementById('lowpassSlider').addEventListener('input', (e) => {
-            const freq = parseInt(e.target.value);
-            this.setLowpassFrequency(freq);
-            document.getElementById('lowpassValue').textContent = freq >= 10000 ? `${Math.round(freq/1000)}k Hz` : `${freq} Hz`;
+        document.getElementById('bulkShiftBtn').addEventListener('click', () => {
+            const offset = parseFloat(document.getElementById('bulkShiftOffset').value);
+            if (isNaN(offset)) {
+                this.showToast('Invalid offset', 'danger');
+                return;
+            }
+            this.bulkShift(offset);
         });
         
-        document.getElementById('resetFiltersBtn').addEventListener('click', () => {
-            this.resetFilters();
+        document.getElementById('bulkStatusBtn').addEventListener('click', () => {
+            this.bulkSetStatus(document.getElementById('bulkStatus').value.trim());
         });
         
-        // Filtre d'affichage par locuteur
-        document.querySelector('input[name="speakerFilter"][value="all"]').addEventListener('change', () => {
-            this.filterSegmentsBySpeaker('all');
+        document.getElementById('bulkPlayBtn').addEventListener('click', () => {
+            this.playSelection();
         });
         
-        // Locuteurs
-        document.getElementById('addSpeakerBtn').addEventListener('click', () => {
-            this.addSpeaker();
+        document.getElementById('bulkMergeBtn').addEventListener('click', () => {
+            this.mergeSelection();
         });
         
-        // Édition
-        document.getElementById('speakerSelect').addEventListener('change', () => {
-            if (this.selectedSegment) {
-                const newSpeaker = parseInt(document.getElementById('speakerSelect').value);
-                if (newSpeaker !== this.selectedSegment.speaker) {
-                    const oldTrack = this.speakerTracks.find(t => t.speakerNum === this.selectedSegment.speaker);
-                    if (oldTrack) oldTrack.removeSegment(this.selectedSegment.id);
-                    
-                    this.selectedSegment.speaker = newSpeaker;
-                    this.selectedSegment.color = this.speakerColors[(newSpeaker - 1) % this.speakerColors.length];
-                    
-                    const newTrack = this.speakerTracks.find(t => t.speakerNum === newSpeaker);
-                    if (newTrack) newTrack.addSegment(this.selectedSegment);
-                    
-                    const regions = this.masterRegions.getRegions();
-                    const masterRegion = regions.find(r => r.id === this.selectedSegment.id);
-                    if (masterRegion) {
-                        masterRegion.setOptions({ color: this.selectedSegment.color.bg });
-                    }
-                }
-            }
+        document.getElementById('bulkDeleteBtn').addEventListener('click', () => {
+            this.bulkDelete();
         });
         
-        document.getElementById('transcriptionInput').addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                this.saveTranscription();
-                this.goToNextSegment();
-            }
+        document.getElementById('clearSelectionBtn').addEventListener('click', () => {
+            this.closeEditor();
         });
         
-        // Lecture du segment
-        document.getElementById('playSegmentBtn').addEventListener('click', () => {
-            this.playSelectedSegment();
+        document.getElementById('mergePrevBtn').addEventListener('click', () => {
+            this.mergeWithNeighbour(-1);
         });
         
-        // Toggle boucle
-        document.getElementById('loopToggle').addEventListener('change', (e) => {
-            this.loopEnabled = e.target.checked;
+        document.getElementById('mergeNextBtn').addEventListener('click', () => {
+            this.mergeWithNeighbour(1);
         });
         
         document.getElementById('deleteSegmentBtn').addEventListener('click', () => {
@@ -1748,11 +6587,27 @@ class OpenTranscriber {
             this.closeAutoSegModal();
         });
         
+        document.querySelector('#autoSegModal .close-btn').addEventListener('click', () => {
+            this.cancelAnalysis();
+        });
+        
+        document.getElementById('pauseSegBtn').addEventListener('click', () => {
+            this.toggleAnalysisPause();
+        });
+        
+        document.getElementById('stopSegBtn').addEventListener('click', () => {
+            this.cancelAnalysis();
+        });
+        
         // Export
         document.getElementById('exportBtn').addEventListener('click', () => {
             this.openExportModal();
         });
         
+        document.getElementById('exportFormat').addEventListener('change', () => {
+            this.updateExportOptions();
+        });
+        
         document.getElementById('confirmExportBtn').addEventListener('click', () => {
             this.doExport();
         });
@@ -1761,6 +6616,17 @@ class OpenTranscriber {
             this.closeExportModal();
         });
         
+        // Récupération de session
+        document.getElementById('recoveryDiscardBtn').addEventListener('click', () => {
+            if (confirm('Delete all autosaved sessions?')) {
+                this.discardAutosavedSessions();
+            }
+        });
+        
+        document.getElementById('recoveryCloseBtn').addEventListener('click', () => {
+            document.getElementById('recoveryModal').classList.remove('active');
+        });
+        
         // Aide
         document.getElementById('helpBtn').addEventListener('click', () => {
             document.getElementById('helpOverlay').style.display = 'flex';
@@ -1797,6 +6663,17 @@ class OpenTranscriber {
                 return;
             }
             
+            if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+                e.preventDefault();
+                const panel = document.getElementById('findPanel');
+                if (panel.classList.contains('hidden')) {
+                    this.toggleFindPanel();
+                } else {
+                    document.getElementById('findInput').focus();
+                }
+                return;
+            }
+            
             // Ignore other shortcuts when typing in input/textarea
             if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
                 if (e.key === 'Escape') {
@@ -1844,13 +6721,39 @@ class OpenTranscriber {
                     break;
                     
                 case 'ArrowLeft':
+                case 'ArrowRight': {
+                    e.preventDefault();
+                    const sign = e.key === 'ArrowLeft' ? -1 : 1;
+                    // Shift : début, Ctrl/Cmd : fin, par pas de 10 ms
+                    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                        this.nudgeBoundary(e.shiftKey ? 'start' : 'end', sign * 0.01);
+                    } else {
+                        this.masterWave.skip(sign * 5);
+                    }
+                    break;
+                }
+                
+                case 'ArrowUp':
+                case 'ArrowDown':
+                    // Pas de 100 ms (Ctrl+Alt+flèches change de bureau sous Linux)
+                    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                        e.preventDefault();
+                        this.nudgeBoundary(e.shiftKey ? 'start' : 'end', e.key === 'ArrowUp' ? 0.1 : -0.1);
+                    }
+                    break;
+                    
+                case 'b':
+                case 'B':
+                    if (e.ctrlKey || e.metaKey) break;   // Ctrl/Cmd+lettre : raccourci du navigateur
                     e.preventDefault();
-                    this.masterWave.skip(-5);
+                    this.setBoundaryToPlayhead('start');
                     break;
                     
-                case 'ArrowRight':
+                case 'e':
+                case 'E':
+                    if (e.ctrlKey || e.metaKey) break;
                     e.preventDefault();
-                    this.masterWave.skip(5);
+                    this.setBoundaryToPlayhead('end');
                     break;
                     
                 case 'Home':
@@ -1875,7 +6778,25 @@ class OpenTranscriber {
                     
                 case 'Delete':
                     e.preventDefault();
-                    this.deleteSegment();
+                    if (this.selectedIds.size > 1) {
+                        this.bulkDelete();
+                    } else {
+                        this.deleteSegment();
+                    }
+                    break;
+                    
+                case 'm':
+                case 'M':
+                    if (e.ctrlKey || e.metaKey) break;
+                    e.preventDefault();
+                    this.mergeWithNeighbour(e.shiftKey ? -1 : 1);
+                    break;
+                    
+                case 'x':
+                case 'X':
+                    if (e.ctrlKey || e.metaKey) break;
+                    e.preventDefault();
+                    this.splitSegment();
                     break;
                     
                 case 'n':
@@ -1894,6 +6815,8 @@ class OpenTranscriber {
                     e.preventDefault();
                     this.closeEditor();
                     this.isPlayingSegment = false;
+                    this.playQueue = [];
+                    this.playList = [];
                     break;
                     
                 case '?':
@@ -1945,6 +6868,89 @@ class OpenTranscriber {
         return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')},${String(ms).padStart(3, '0')}`;
     }
     
+    /**
+     * Parse an XML string, throwing on malformed input
+     * @returns {Document}
+     */
+    parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const error = doc.querySelector('parsererror');
+        if (error) {
+            throw new Error('Malformed XML');
+        }
+        return doc;
+    }
+    
+    /**
+     * Hex SHA-256 digest, or null when Web Crypto is unavailable
+     * (non-secure context)
+     * @param {ArrayBuffer|Uint8Array} data
+     * @returns {Promise<string|null>}
+     */
+    async computeSHA256(data) {
+        if (!window.crypto || !window.crypto.subtle) {
+            console.warn('⚠️ Web Crypto unavailable, checksum skipped');
+            return null;
+        }
+        const digest = await window.crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+    
+    /**
+     * Decode a text file buffer, honouring UTF-8/UTF-16 byte order marks
+     * (Praat writes UTF-16 when a file contains non-ASCII characters)
+     * @param {ArrayBuffer} buffer
+     * @returns {string}
+     */
+    decodeTextBuffer(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let encoding = 'utf-8';
+        
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            encoding = 'utf-16le';
+        } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            encoding = 'utf-16be';
+        } else if (bytes.length > 1 && bytes[0] !== 0 && bytes[1] === 0) {
+            encoding = 'utf-16le';
+        } else if (bytes.length > 1 && bytes[0] === 0 && bytes[1] !== 0) {
+            encoding = 'utf-16be';
+        }
+        
+        return new TextDecoder(encoding).decode(bytes);
+    }
+    
+    /**
+     * Decode an XML file buffer using the encoding declared in its prolog
+     * (Transcriber files are usually ISO-8859-1)
+     * @param {ArrayBuffer} buffer
+     * @returns {string}
+     */
+    decodeXmlBuffer(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const hasBom = (bytes[0] === 0xFF && bytes[1] === 0xFE) || (bytes[0] === 0xFE && bytes[1] === 0xFF) ||
+            (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF);
+        
+        if (!hasBom) {
+            const prolog = new TextDecoder('ascii').decode(bytes.slice(0, 200));
+            const match = prolog.match(/^<\?xml[^>]*encoding=["']([^"']+)["']/);
+            if (match) {
+                try {
+                    return new TextDecoder(match[1].toLowerCase()).decode(bytes);
+                } catch (error) {
+                    console.warn(`⚠️ Unsupported encoding ${match[1]}, falling back to UTF-8`);
+                }
+            }
+        }
+        
+        return this.decodeTextBuffer(buffer);
+    }
+    
+    formatVTTTime(seconds) {
+        return this.formatSRTTime(seconds).replace(',', '.');
+    }
+    
     escapeXml(text) {
         return text
             .replace(/&/g, '&amp;')
@@ -1975,6 +6981,233 @@ class OpenTranscriber {
     }
 }
 
+// ============================================================================
+// WORKER D'ANALYSE
+// ============================================================================
+
+/**
+ * Body of the analysis Web Worker (silence and VAD segmentation, F0,
+ * frame features). It is serialised with toString() and started from a
+ * Blob URL, so it must not use anything defined outside itself.
+ * Every message carries an id, echoed back with the result or an `error`:
+ * - begin {analysis: 'silence'|'vad', params, sampleRate}, then chunk {data, offset}
+ *   for each block of samples, then end → {segments}
+ * - f0 {data, sampleRate, f0Min, f0Max} → {f0}
+ */
+function analysisWorker() {
+    let state = null;
+    
+    function calculateEnergy(frame) {
+        let sum = 0;
+        for (let i = 0; i < frame.length; i++) {
+            sum += frame[i] * frame[i];
+        }
+        return sum / frame.length;
+    }
+    
+    function calculateZCR(frame) {
+        let count = 0;
+        for (let i = 1; i < frame.length; i++) {
+            if ((frame[i] >= 0 && frame[i - 1] < 0) || (frame[i] < 0 && frame[i - 1] >= 0)) {
+                count++;
+            }
+        }
+        return count / frame.length;
+    }
+    
+    function calculateSpectralCentroid(frame, sampleRate) {
+        let weightedSum = 0;
+        let sum = 0;
+        
+        for (let i = 0; i < frame.length; i++) {
+            const magnitude = Math.abs(frame[i]);
+            const freq = (i * sampleRate) / frame.length;
+            weightedSum += freq * magnitude;
+            sum += magnitude;
+        }
+        
+        return sum > 0 ? weightedSum / sum : 0;
+    }
+    
+    // Silence : seuil d'amplitude avec tolérance de pause, état gardé d'un bloc à l'autre
+    function silenceChunk(channelData, offset) {
+        const { sampleRate, threshold, minDuration, pauseTolerance, segments } = state;
+        let { inSpeech, segmentStart, silenceStart } = state;
+        
+        for (let j = 0; j < channelData.length; j++) {
+            const time = (offset + j) / sampleRate;
+            const amplitude = Math.abs(channelData[j]);
+            
+            if (amplitude > threshold) {
+                if (!inSpeech) {
+                    segmentStart = time;
+                    inSpeech = true;
+                }
+                silenceStart = time;
+            } else {
+                if (inSpeech && (time - silenceStart) > pauseTolerance) {
+                    const duration = silenceStart - segmentStart;
+                    if (duration >= minDuration) {
+                        segments.push({
+                            start: segmentStart,
+                            end: silenceStart,
+                            speaker: 'spk1',
+                            f0: null
+                        });
+                    }
+                    inSpeech = false;
+                }
+            }
+        }
+        
+        Object.assign(state, { inSpeech, segmentStart, silenceStart, totalSamples: offset + channelData.length });
+    }
+    
+    function silenceEnd() {
+        // Dernier segment
+        const end = state.totalSamples / state.sampleRate;
+        if (state.inSpeech && end - state.segmentStart >= state.minDuration) {
+            state.segments.push({
+                start: state.segmentStart,
+                end,
+                speaker: 'spk1',
+                f0: null
+            });
+        }
+        return state.segments;
+    }
+    
+    // VAD : trames de 25 ms toutes les 10 ms ; les trames chevauchent les
+    // blocs, la fin non traitée est gardée pour le bloc suivant
+    function vadChunk(data, offset) {
+        const { sampleRate, frameSize, hopSize, carry } = state;
+        const channelData = new Float32Array(carry.length + data.length);
+        channelData.set(carry);
+        channelData.set(data, carry.length);
+        const base = offset - carry.length;
+        
+        let i = 0;
+        for (; i < channelData.length - frameSize; i += hopSize) {
+            const frame = channelData.subarray(i, i + frameSize);
+            const energy = calculateEnergy(frame);
+            
+            addFeature({
+                time: (base + i) / sampleRate,
+                energy,
+                zcr: calculateZCR(frame),
+                spectralCentroid: calculateSpectralCentroid(frame, sampleRate),
+                isVoiced: energy > 0.01
+            });
+        }
+        state.carry = channelData.slice(i);
+    }
+    
+    // Regroupées au fil de l'eau : seules les trames du segment en cours sont gardées
+    function addFeature(feat) {
+        if (feat.isVoiced) {
+            if (!state.current) {
+                state.current = { start: feat.time, features: [] };
+            }
+            state.current.features.push(feat);
+        } else {
+            if (state.current && state.current.features.length > 10) {
+                const lastFeat = state.current.features[state.current.features.length - 1];
+                state.segments.push({
+                    start: state.current.start,
+                    end: lastFeat.time,
+                    speaker: 'spk1',
+                    f0: null
+                });
+            }
+            state.current = null;
+        }
+    }
+    
+    // F0 par autocorrélation sur tout le segment
+    function extractF0(segment, sampleRate, f0Min, f0Max) {
+        if (segment.length < 400) return null;
+        
+        const maxLag = Math.floor(sampleRate / f0Min);
+        const minLag = Math.floor(sampleRate / f0Max);
+        
+        let maxCorr = -Infinity;
+        let bestLag = 0;
+        
+        for (let lag = minLag; lag < Math.min(maxLag, segment.length / 2); lag++) {
+            let corr = 0;
+            for (let i = 0; i < segment.length - lag; i++) {
+                corr += segment[i] * segment[i + lag];
+            }
+            if (corr > maxCorr) {
+                maxCorr = corr;
+                bestLag = lag;
+            }
+        }
+        
+        if (bestLag > 0) {
+            return sampleRate / bestLag;
+        }
+        return null;
+    }
+    
+    self.onmessage = (e) => {
+        const { id, type } = e.data;
+        
+        try {
+            switch (type) {
+                case 'begin': {
+                    const { analysis, params, sampleRate } = e.data;
+                    state = {
+                        analysis,
+                        sampleRate,
+                        segments: [],
+                        // silence
+                        threshold: params.silenceThreshold,
+                        minDuration: params.minSegmentDuration,
+                        pauseTolerance: params.pauseTolerance / 1000,
+                        inSpeech: false,
+                        segmentStart: 0,
+                        silenceStart: 0,
+                        totalSamples: 0,
+                        // vad
+                        frameSize: Math.floor(sampleRate * 0.025),
+                        hopSize: Math.floor(sampleRate * 0.010),
+                        carry: new Float32Array(0),
+                        current: null
+                    };
+                    self.postMessage({ id });
+                    break;
+                }
+                
+                case 'chunk':
+                    if (state.analysis === 'vad') {
+                        vadChunk(e.data.data, e.data.offset);
+                    } else {
+                        silenceChunk(e.data.data, e.data.offset);
+                    }
+                    self.postMessage({ id });
+                    break;
+                    
+                case 'end': {
+                    const segments = state.analysis === 'vad' ? state.segments : silenceEnd();
+                    state = null;
+                    self.postMessage({ id, segments });
+                    break;
+                }
+                
+                case 'f0':
+                    self.postMessage({ id, f0: extractF0(e.data.data, e.data.sampleRate, e.data.f0Min, e.data.f0Max) });
+                    break;
+                    
+                default:
+                    throw new Error(`unknown message type: ${type}`);
+            }
+        } catch (error) {
+            self.postMessage({ id, error: error.message });
+        }
+    };
+}
+
 // ============================================================================
 // CLASSE PISTE LOCUTEUR
 // ============================================================================
@@ -2000,8 +7233,12 @@ class SpeakerTrack {
         
         container.innerHTML = `
             <div class="track-header">
+                <span class="drag-handle" draggable="true" title="Drag to reorder">⠿</span>
                 <input type="text" class="speaker-name" value="${this.name}">
-                <button class="btn-remove" title="Remove">🗑</button>
+                <span class="track-actions">
+                    <button class="btn-merge" title="Merge into another speaker">⤵</button>
+                    <button class="btn-remove" title="Remove">🗑</button>
+                </span>
             </div>
             <div class="waveform-container"></div>
         `;
@@ -2011,46 +7248,115 @@ class SpeakerTrack {
         
         // Events
         container.querySelector('.speaker-name').addEventListener('change', (e) => {
-            this.name = e.target.value;
-            this.app.updateSpeakerSelect();
-            this.app.updateSpeakerFilterButtons();
+            this.app.renameSpeaker(this.speakerNum, e.target.value);
         });
         
         container.querySelector('.btn-remove').addEventListener('click', () => {
-            if (confirm(`Remove ${this.name}?`)) {
-                this.app.removeSpeaker(this.speakerNum);
+            this.app.openSpeakerRemoveModal(this.speakerNum, 'remove');
+        });
+        
+        container.querySelector('.btn-merge').addEventListener('click', () => {
+            this.app.openSpeakerRemoveModal(this.speakerNum, 'merge');
+        });
+        
+        // Réordonner par glisser-déposer (poignée ⠿)
+        container.querySelector('.drag-handle').addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', String(this.speakerNum));
+            e.dataTransfer.effectAllowed = 'move';
+            container.classList.add('dragging');
+        });
+        
+        container.querySelector('.drag-handle').addEventListener('dragend', () => {
+            container.classList.remove('dragging');
+        });
+        
+        container.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+        
+        container.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const dragged = parseInt(e.dataTransfer.getData('text/plain'));
+            if (!isNaN(dragged) && dragged !== this.speakerNum) {
+                this.app.moveSpeaker(dragged, this.app.speakerTracks.indexOf(this));
             }
         });
     }
     
-    async loadAudio(file) {
+    /**
+     * Draw the master's precomputed peaks (no media, no decoding). Playback and
+     * cursor stay on the master: onTimeUpdate moves this cursor, and clicks
+     * here seek the master.
+     * @param {{peaks: Float32Array[], duration: number}} trackPeaks - From getTrackPeaks()
+     */
+    loadPeaks(trackPeaks) {
+        // Nouvel audio : recréer l'onde et redessiner les segments de la piste
+        const reload = !!this.wave;
+        if (reload) {
+            this.wave.destroy();
+        }
+        
         this.wave = WaveSurfer.create({
             container: this.container.querySelector('.waveform-container'),
+            peaks: trackPeaks.peaks,
+            duration: trackPeaks.duration,
             waveColor: '#ddd',
             progressColor: this.color.border,
             cursorColor: this.color.border,
             barWidth: 2,
             height: 60,
             normalize: true,
-            minPxPerSec: 50
+            // Zoom et défilement pilotés par le master (voir syncScroll)
+            minPxPerSec: this.app.zoomLevel,
+            autoScroll: false,
+            autoCenter: false,
+            hideScrollbar: true
         });
         
         this.regions = this.wave.registerPlugin(WaveSurfer.Regions.create());
         
-        await this.wave.loadBlob(file);
+        // S'aligner sur le master une fois les pics dessinés, et lui renvoyer
+        // les défilements (molette, glisser)
+        this.wave.once('ready', () => {
+            this.wave.zoom(this.app.zoomLevel);
+            this.wave.setScroll(this.app.masterWave.getScroll());
+            this.wave.setTime(this.app.masterWave.getCurrentTime());
+        });
+        this.wave.on('scroll', () => this.app.syncScroll(this.wave));
+        
+        // La piste n'a pas de média : un clic déplace la lecture du master
+        this.wave.on('interaction', (time) => {
+            this.app.masterWave.setTime(time);
+        });
         
         // Events
         this.regions.on('region-clicked', (r, e) => {
-            e.stopPropagation();
-            const segment = this.app.segments.find(s => s.id === r.id);
-            if (segment) {
-                this.app.selectSegment(segment);
-            }
+            this.app.selectSegmentByRegion(r, e);
         });
         
         this.regions.on('region-double-clicked', (r) => {
             this.app.openInlineEditor(r);
         });
+        
+        // Édition directe sur la piste : renvoyée vers this.segments et le master
+        this.regions.enableDragSelection({
+            color: this.color.bg
+        });
+        
+        this.regions.on('region-created', (r) => {
+            this.app.onRegionCreated(r, this);
+        });
+        
+        this.regions.on('region-updated', (r) => {
+            this.app.onRegionUpdated(r);
+        });
+        
+        if (reload) {
+            this.app.segments
+                .filter(s => s.speaker === this.speakerNum)
+                .forEach(s => this.addSegment(s));
+        }
     }
     
     addSegment(segment) {
@@ -2108,13 +7414,6 @@ class SpeakerTrack {
         }
     }
     
-    updateNumber(newNum) {
-        this.speakerNum = newNum;
-        this.name = `Speaker ${newNum}`;
-        this.container.setAttribute('data-speaker', newNum);
-        this.container.querySelector('.speaker-name').value = this.name;
-    }
-    
     destroy() {
         if (this.wave) {
             this.wave.destroy();